@@ -0,0 +1,162 @@
+/**
+ * Click Track
+ * Metronome clicks locked to the sync markers, scheduled on the Web Audio
+ * clock so they stay sample-accurate with the recording.
+ */
+
+window.ClickTrack = {
+    // How far ahead clicks are scheduled (seconds of real time)
+    LOOKAHEAD: 0.15,
+
+    /**
+     * Every beat of the synced part of the recording, derived from the bar
+     * (and beat) markers and each bar's time signature.
+     * Returns [{ time, downbeat }] sorted by time.
+     */
+    buildBeats(syncData, barTickMap, duration) {
+        const anchors = window.TabSync.getAnchors(syncData, barTickMap);
+        if (anchors.length === 0) return [];
+
+        const beats = [];
+        for (let position = anchors[0].position; position < barTickMap.length; position++) {
+            const slot = barTickMap[position];
+            if (!slot) continue;
+            for (let beat = 1; beat <= slot.beats; beat++) {
+                const tick = window.TabSync.beatTick(slot, beat);
+                if (tick < anchors[0].tick) continue;
+                const time = window.TabSync.tickToTime(syncData, barTickMap, tick, duration, anchors);
+                if (time >= duration) return beats;
+                beats.push({ time, downbeat: beat === 1 });
+            }
+        }
+        return beats;
+    },
+
+    create(audioContext, destination = audioContext.destination) {
+        const gain = audioContext.createGain();
+        gain.connect(destination);
+        return {
+            context: audioContext,
+            gain,
+            pending: [], // scheduled oscillators { osc, when }
+            scheduledUntil: 0
+        };
+    },
+
+    setVolume(track, volume) {
+        track.gain.gain.value = volume;
+    },
+
+    /**
+     * Schedule the clicks coming up in the next LOOKAHEAD seconds. Call this
+     * regularly while playing with the audible `position` in the recording,
+     * the playback `rate` and the active loop ({ start, end } or null).
+     * Right after starting, `position` may still be before `startPosition`
+     * (output latency); beats before where playback started are skipped.
+     */
+    schedule(track, beats, position, rate, loop, startPosition = -Infinity) {
+        const now = track.context.currentTime;
+        const horizon = this.LOOKAHEAD * rate;
+
+        // Audio-time windows ahead of us and when (in real time) each begins
+        const windows = [];
+        if (loop && position < loop.end && position + horizon > loop.end) {
+            windows.push({ from: position, to: loop.end, delay: 0 });
+            windows.push({ from: loop.start, to: loop.start + position + horizon - loop.end, delay: (loop.end - position) / rate });
+        } else {
+            windows.push({ from: position, to: position + horizon, delay: 0 });
+        }
+
+        windows.forEach(({ from, to, delay }) => {
+            for (let i = this.firstBeatAt(beats, Math.max(from, startPosition)); i < beats.length && beats[i].time < to; i++) {
+                const when = now + delay + (beats[i].time - from) / rate;
+                // Each click is scheduled once, even though the windows overlap
+                if (when <= track.scheduledUntil + 0.001) continue;
+                this.click(track, when, beats[i].downbeat);
+                track.scheduledUntil = when;
+            }
+        });
+
+        track.pending = track.pending.filter(p => p.when > now - 1);
+    },
+
+    /**
+     * Count in: `count` clicks `interval` seconds apart from `startAt`
+     * (context time), the first one accented.
+     */
+    scheduleCountIn(track, startAt, count, interval) {
+        for (let i = 0; i < count; i++) {
+            this.click(track, startAt + i * interval, i === 0);
+        }
+        track.scheduledUntil = startAt + (count - 1) * interval;
+    },
+
+    /**
+     * Seconds per beat around `position`, for counting in at that tempo.
+     */
+    beatInterval(beats, position) {
+        if (beats.length < 2) return 0.5;
+        const i = Math.min(Math.max(1, this.firstBeatAt(beats, position)), beats.length - 1);
+        const interval = beats[i].time - beats[i - 1].time;
+        return interval > 0.1 && interval < 3 ? interval : 0.5;
+    },
+
+    /**
+     * Beats per bar at `position` (the bar's time signature numerator).
+     */
+    beatsPerBar(beats, position) {
+        let i = this.firstBeatAt(beats, position);
+        while (i > 0 && !beats[i]?.downbeat) i--;
+        let count = 1;
+        while (beats[i + count] && !beats[i + count].downbeat) count++;
+        return beats.length > 0 ? count : 4;
+    },
+
+    // Drop clicks that haven't sounded yet (after a seek or pause)
+    reset(track) {
+        const now = track.context.currentTime;
+        track.pending.forEach(({ osc, when }) => {
+            if (when > now) {
+                try {
+                    osc.stop();
+                } catch (e) {
+                    // Already stopped
+                }
+            }
+        });
+        track.pending = [];
+        track.scheduledUntil = 0;
+    },
+
+    click(track, when, accent) {
+        const context = track.context;
+        const osc = context.createOscillator();
+        const envelope = context.createGain();
+
+        osc.frequency.value = accent ? 1600 : 1000;
+        envelope.gain.setValueAtTime(0.0001, when);
+        envelope.gain.exponentialRampToValueAtTime(accent ? 1 : 0.6, when + 0.002);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, when + 0.05);
+
+        osc.connect(envelope);
+        envelope.connect(track.gain);
+        osc.start(when);
+        osc.stop(when + 0.06);
+        track.pending.push({ osc, when });
+    },
+
+    // Index of the first beat at or after `time` (binary search)
+    firstBeatAt(beats, time) {
+        let low = 0;
+        let high = beats.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (beats[mid].time < time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+};
@@ -0,0 +1,135 @@
+/**
+ * Deep Link
+ * URL parameters that open a player at a given moment, shared by the
+ * players and the embeds (and their "copy link" buttons):
+ *
+ *   bar=33        start at bar 33
+ *   t=83.5        start 83.5 s in (also t=1:23.5)
+ *   loop=33-40    loop bars 33 to 40 (loop=33 loops a single bar)
+ *   speed=70      play at 70%
+ *   track=2       show the second track
+ *   autoplay=1    start playing right away, if the browser allows it
+ */
+
+window.DeepLink = {
+    PARAMS: ['bar', 't', 'loop', 'speed', 'track', 'autoplay'],
+
+    /**
+     * Read a query string. Only parameters that are present and valid are
+     * set: { bar, time, loop: { start, end }, speed, track, autoplay }.
+     * `track` is returned as a 0-based index.
+     */
+    parse(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        const link = {};
+
+        const bar = parseInt(params.get('bar'));
+        if (bar >= 1) link.bar = bar;
+
+        const time = this.parseTime(params.get('t'));
+        if (time !== null) link.time = time;
+
+        const loop = /^(\d+)(?:-(\d+))?$/.exec(params.get('loop') || '');
+        if (loop) {
+            const start = parseInt(loop[1]);
+            const end = parseInt(loop[2] || loop[1]);
+            if (start >= 1 && end >= start) link.loop = { start, end };
+        }
+
+        const speed = parseInt(params.get('speed'));
+        if (speed > 0) link.speed = speed;
+
+        const track = parseInt(params.get('track'));
+        if (track >= 1) link.track = track - 1;
+
+        // ?autoplay on its own counts too
+        if (['', '1', 'true'].includes(params.get('autoplay'))) link.autoplay = true;
+
+        return link;
+    },
+
+    isEmpty(link) {
+        return !link || Object.keys(link).length === 0;
+    },
+
+    // Seconds from "83.5" or "1:23.5" (null if invalid)
+    parseTime(value) {
+        if (!value) return null;
+        const parts = value.split(':').map(Number);
+        if (parts.length > 3 || parts.some(part => isNaN(part) || part < 0)) return null;
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    },
+
+    /**
+     * This page's URL with the link state in it. Other parameters already
+     * in the URL (file, sync, ...) are kept; `keep` adds more, e.g. the
+     * project a page has since removed from its address bar.
+     */
+    build(state, keep = {}) {
+        const url = new URL(window.location.href);
+        this.PARAMS.forEach(name => url.searchParams.delete(name));
+        Object.entries(keep).forEach(([name, value]) => {
+            if (value !== null && value !== undefined) url.searchParams.set(name, value);
+        });
+
+        if (state.bar) url.searchParams.set('bar', state.bar);
+        if (state.time !== undefined && state.time !== null) {
+            url.searchParams.set('t', Math.round(state.time * 10) / 10);
+        }
+        if (state.loop) {
+            const { start, end } = state.loop;
+            url.searchParams.set('loop', start === end ? start : `${start}-${end}`);
+        }
+        if (state.speed && state.speed !== 100) url.searchParams.set('speed', state.speed);
+        if (state.track > 0) url.searchParams.set('track', state.track + 1);
+        if (state.autoplay) url.searchParams.set('autoplay', 1);
+
+        return url.toString();
+    },
+
+    copy(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            return navigator.clipboard.writeText(text);
+        }
+        // Plain http pages have no clipboard API
+        const input = document.createElement('textarea');
+        input.value = text;
+        document.body.appendChild(input);
+        input.select();
+        const copied = document.execCommand('copy');
+        input.remove();
+        return copied ? Promise.resolve() : Promise.reject(new Error('Copy failed'));
+    },
+
+    /**
+     * Indexes of bars `start` to `end` in `slots` (playback order, each
+     * with a `bar` number: TabSync's bar tick map or DeepLink.slotsOf).
+     * The end is taken from the first pass at or after the start, so a
+     * loop across a repeat stays in order. Null if the start bar isn't there.
+     */
+    findBars(slots, start, end = start) {
+        const first = slots.findIndex(slot => slot && slot.bar === start);
+        if (first < 0) return null;
+        const last = slots.findIndex((slot, i) => i >= first && slot && slot.bar === end);
+        return { first, last: last < 0 ? first : last };
+    },
+
+    // Playback order straight from alphaTab, for the MIDI players
+    slotsOf(api) {
+        const masterBars = api.tickCache ? api.tickCache.masterBars : [];
+        return masterBars.map(b => ({ bar: b.masterBar.index + 1, start: b.start, end: b.end }));
+    },
+
+    /**
+     * Whether this page may start audio without a click: an AudioContext
+     * created now starts out running instead of suspended.
+     */
+    autoplayAllowed() {
+        const Context = window.AudioContext || window.webkitAudioContext;
+        if (!Context) return false;
+        const probe = new Context();
+        const allowed = probe.state === 'running';
+        probe.close();
+        return allowed;
+    }
+};
@@ -0,0 +1,386 @@
+/**
+ * Downbeat Detector
+ * Offline onset analysis that proposes bar markers for the Sync Editor
+ */
+
+window.DownbeatDetector = {
+    // Analysis runs on a downsampled mono mix - plenty for percussive onsets
+    TARGET_SAMPLE_RATE: 11025,
+    FRAME_SIZE: 512,
+    HOP_SIZE: 128,
+
+    // Global tempo search range relative to the GP file's tempo map
+    MIN_SCALE: 0.5,
+    MAX_SCALE: 2.0,
+    SCALE_STEPS: 160,
+
+    // How far into the recording the first downbeat may be (seconds)
+    MAX_LEAD_IN: 30,
+
+    // Number of bars used for the global fit
+    FIT_BARS: 32,
+
+    // Coarse pass of the global fit: every 2nd scale step and every 4th
+    // frame over the opening 6 bars, keeping the 8 best for the fine pass
+    COARSE_SCALE_STEP: 2,
+    COARSE_HOP: 4,
+    COARSE_BARS: 6,
+    FIT_CANDIDATES: 8,
+
+    /**
+     * Analyze a decoded recording and align its downbeats to the score.
+     * `sequence` is the playback order from TabSync.buildBarTickMap, so
+     * repeated bars are detected once per pass.
+     * Returns proposed markers: [{ bar, pass, time, source: 'detected' }]
+     */
+    async detect(audioBuffer, score, onProgress = () => {}, sequence = []) {
+        if (!audioBuffer || !score || !score.masterBars || score.masterBars.length === 0) {
+            return [];
+        }
+
+        onProgress('Analyzing audio...', 0);
+        const { envelope, frameRate } = await this.computeOnsetEnvelope(audioBuffer, onProgress);
+
+        onProgress('Reading tempo map...', 70);
+        const timeline = window.TabSync.buildScoreTimeline(score, sequence);
+
+        onProgress('Fitting tempo...', 75);
+        await this.yieldToUI();
+        const fit = await this.fitGlobal(envelope, frameRate, timeline, audioBuffer.duration, onProgress);
+        if (!fit) return [];
+
+        onProgress('Aligning downbeats...', 90);
+        await this.yieldToUI();
+        return this.alignBars(envelope, frameRate, timeline, fit, audioBuffer.duration);
+    },
+
+    // ===================================
+    // Onset Envelope (spectral flux)
+    // ===================================
+
+    async computeOnsetEnvelope(audioBuffer, onProgress) {
+        const samples = this.downmix(audioBuffer);
+        const sampleRate = audioBuffer.sampleRate / this.decimationFactor(audioBuffer.sampleRate);
+        const frameRate = sampleRate / this.HOP_SIZE;
+
+        const size = this.FRAME_SIZE;
+        const bins = size / 2;
+        const frameCount = Math.max(0, Math.floor((samples.length - size) / this.HOP_SIZE) + 1);
+        // Index flux by the frame centre rather than its start
+        const lead = Math.round(size / 2 / this.HOP_SIZE);
+        const flux = new Float32Array(frameCount + lead);
+
+        const window = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+        }
+
+        const re = new Float32Array(size);
+        const im = new Float32Array(size);
+        let previous = new Float32Array(bins);
+        let current = new Float32Array(bins);
+
+        for (let f = 0; f < frameCount; f++) {
+            const offset = f * this.HOP_SIZE;
+            for (let i = 0; i < size; i++) {
+                re[i] = samples[offset + i] * window[i];
+                im[i] = 0;
+            }
+            this.fft(re, im);
+
+            let sum = 0;
+            for (let k = 0; k < bins; k++) {
+                const magnitude = Math.log(1 + 100 * Math.sqrt(re[k] * re[k] + im[k] * im[k]));
+                current[k] = magnitude;
+                const diff = magnitude - previous[k];
+                if (diff > 0) sum += diff;
+            }
+            flux[f + lead] = sum;
+
+            const swap = previous;
+            previous = current;
+            current = swap;
+
+            // Keep the page responsive on long recordings
+            if (f % 2000 === 0) {
+                onProgress('Analyzing audio...', Math.round((f / frameCount) * 70));
+                await this.yieldToUI();
+            }
+        }
+
+        return { envelope: this.normalizeEnvelope(flux, frameRate), frameRate };
+    },
+
+    decimationFactor(sampleRate) {
+        return Math.max(1, Math.floor(sampleRate / this.TARGET_SAMPLE_RATE));
+    },
+
+    downmix(audioBuffer) {
+        const factor = this.decimationFactor(audioBuffer.sampleRate);
+        const length = Math.floor(audioBuffer.length / factor);
+        const output = new Float32Array(length);
+        const channels = audioBuffer.numberOfChannels;
+
+        for (let c = 0; c < channels; c++) {
+            const data = audioBuffer.getChannelData(c);
+            for (let i = 0; i < length; i++) {
+                // Box-filter average doubles as a cheap anti-alias filter
+                let sum = 0;
+                const start = i * factor;
+                for (let j = 0; j < factor; j++) {
+                    sum += data[start + j];
+                }
+                output[i] += sum / (factor * channels);
+            }
+        }
+        return output;
+    },
+
+    normalizeEnvelope(flux, frameRate) {
+        // Subtract a moving average so sustained loud passages don't dominate
+        const radius = Math.max(1, Math.round(frameRate * 0.25));
+        const envelope = new Float32Array(flux.length);
+        let windowSum = 0;
+        let windowStart = 0;
+        let windowEnd = 0;
+        let max = 0;
+
+        for (let i = 0; i < flux.length; i++) {
+            while (windowEnd < flux.length && windowEnd <= i + radius) {
+                windowSum += flux[windowEnd++];
+            }
+            while (windowStart < i - radius) {
+                windowSum -= flux[windowStart++];
+            }
+            const mean = windowSum / (windowEnd - windowStart);
+            const value = Math.max(0, flux[i] - mean);
+            envelope[i] = value;
+            if (value > max) max = value;
+        }
+
+        if (max > 0) {
+            for (let i = 0; i < envelope.length; i++) {
+                envelope[i] /= max;
+            }
+        }
+        return envelope;
+    },
+
+    // In-place iterative radix-2 FFT
+    fft(re, im) {
+        const n = re.length;
+
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+            if (i < j) {
+                let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+                tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+            }
+        }
+
+        for (let len = 2; len <= n; len <<= 1) {
+            const angle = (-2 * Math.PI) / len;
+            const wRe = Math.cos(angle);
+            const wIm = Math.sin(angle);
+            for (let i = 0; i < n; i += len) {
+                let curRe = 1;
+                let curIm = 0;
+                for (let j = 0; j < len / 2; j++) {
+                    const aRe = re[i + j];
+                    const aIm = im[i + j];
+                    const bRe = re[i + j + len / 2] * curRe - im[i + j + len / 2] * curIm;
+                    const bIm = re[i + j + len / 2] * curIm + im[i + j + len / 2] * curRe;
+                    re[i + j] = aRe + bRe;
+                    im[i + j] = aIm + bIm;
+                    re[i + j + len / 2] = aRe - bRe;
+                    im[i + j + len / 2] = aIm - bIm;
+                    const nextRe = curRe * wRe - curIm * wIm;
+                    curIm = curRe * wIm + curIm * wRe;
+                    curRe = nextRe;
+                }
+            }
+        }
+    },
+
+    // ===================================
+    // Alignment
+    // ===================================
+
+    envelopeAt(envelope, frameRate, time) {
+        // Take the strongest value within one frame to tolerate rounding
+        const frame = Math.round(time * frameRate);
+        let value = 0;
+        for (let i = frame - 1; i <= frame + 1; i++) {
+            if (i >= 0 && i < envelope.length && envelope[i] > value) {
+                value = envelope[i];
+            }
+        }
+        return value;
+    },
+
+    scoreBar(envelope, frameRate, bar, start, scale) {
+        let total = 0;
+        bar.beats.forEach((offset, i) => {
+            // Downbeats count extra so the grid locks to bar lines, not off-beats
+            const weight = i === 0 ? 2 : 1;
+            total += weight * this.envelopeAt(envelope, frameRate, start + offset * scale);
+        });
+        return total;
+    },
+
+    /**
+     * Find the global tempo scale and first-downbeat offset that best
+     * explain the onsets over the opening bars. Searched coarse to fine:
+     * a coarse grid over the opening few bars on a smeared envelope finds
+     * the promising candidates, which are then refined frame by frame
+     * over all FIT_BARS.
+     */
+    async fitGlobal(envelope, frameRate, timeline, duration, onProgress = () => {}) {
+        const maxOffset = Math.min(this.MAX_LEAD_IN, duration);
+        const scaleAt = (step) => this.MIN_SCALE * Math.pow(this.MAX_SCALE / this.MIN_SCALE, step / this.SCALE_STEPS);
+
+        // Coarse pass: every COARSE_SCALE_STEP-th scale, every COARSE_HOP-th
+        // frame, with onsets widened so the gaps in the grid still hit them
+        const coarseEnvelope = this.widenEnvelope(envelope, this.COARSE_HOP);
+        const coarseBars = timeline.slice(0, this.COARSE_BARS);
+        const candidates = [];
+
+        for (let s = 0; s <= this.SCALE_STEPS; s += this.COARSE_SCALE_STEP) {
+            const scale = scaleAt(s);
+            for (let frame = 0; frame <= maxOffset * frameRate; frame += this.COARSE_HOP) {
+                const value = this.scoreFit(coarseEnvelope, frameRate, coarseBars, frame / frameRate, scale, duration);
+                if (value !== null) this.addCandidate(candidates, { step: s, frame, value });
+            }
+
+            // Let the progress bar and the page repaint between scales
+            onProgress('Fitting tempo...', 75 + Math.round((s / this.SCALE_STEPS) * 12));
+            await this.yieldToUI();
+        }
+
+        // Fine pass around each candidate: every scale step and frame in between
+        const bars = timeline.slice(0, this.FIT_BARS);
+        let best = null;
+
+        for (const candidate of candidates) {
+            const fromStep = Math.max(0, candidate.step - this.COARSE_SCALE_STEP);
+            const toStep = Math.min(this.SCALE_STEPS, candidate.step + this.COARSE_SCALE_STEP);
+            for (let s = fromStep; s <= toStep; s++) {
+                const scale = scaleAt(s);
+                for (let frame = candidate.frame - this.COARSE_HOP; frame <= candidate.frame + this.COARSE_HOP; frame++) {
+                    if (frame < 0) continue;
+                    const offset = frame / frameRate;
+                    if (offset > maxOffset) break;
+                    const value = this.scoreFit(envelope, frameRate, bars, offset, scale, duration);
+                    if (value !== null && (!best || value > best.value)) {
+                        best = { scale, offset, value };
+                    }
+                }
+            }
+            await this.yieldToUI();
+        }
+
+        return best;
+    },
+
+    // Mean bar score of a tempo scale and offset (null if no bar fits)
+    scoreFit(envelope, frameRate, bars, offset, scale, duration) {
+        let total = 0;
+        let counted = 0;
+        for (const bar of bars) {
+            const start = offset + bar.start * scale;
+            if (start >= duration) break;
+            total += this.scoreBar(envelope, frameRate, bar, start, scale);
+            counted++;
+        }
+        return counted > 0 ? total / counted : null;
+    },
+
+    /**
+     * Keep the FIT_CANDIDATES best coarse results, one per neighbourhood -
+     * a strong peak would otherwise fill the list with its own neighbours.
+     */
+    addCandidate(candidates, candidate) {
+        const near = candidates.findIndex(c =>
+            Math.abs(c.step - candidate.step) <= this.COARSE_SCALE_STEP &&
+            Math.abs(c.frame - candidate.frame) <= this.COARSE_HOP * 2
+        );
+        if (near >= 0) {
+            if (candidates[near].value >= candidate.value) return;
+            candidates.splice(near, 1);
+        }
+        if (candidates.length >= this.FIT_CANDIDATES && candidates[candidates.length - 1].value >= candidate.value) return;
+
+        candidates.push(candidate);
+        candidates.sort((a, b) => b.value - a.value);
+        if (candidates.length > this.FIT_CANDIDATES) candidates.pop();
+    },
+
+    // Each value becomes the largest within `radius` frames (a max filter)
+    widenEnvelope(envelope, radius) {
+        const widened = new Float32Array(envelope.length);
+        for (let i = 0; i < envelope.length; i++) {
+            let value = 0;
+            const end = Math.min(envelope.length - 1, i + radius);
+            for (let j = Math.max(0, i - radius); j <= end; j++) {
+                if (envelope[j] > value) value = envelope[j];
+            }
+            widened[i] = value;
+        }
+        return widened;
+    },
+
+    /**
+     * Walk bar by bar from the global fit, letting each downbeat snap to
+     * nearby onsets and the local tempo drift with the performance.
+     */
+    alignBars(envelope, frameRate, timeline, fit, duration) {
+        const markers = [];
+        let scale = fit.scale;
+        let time = fit.offset;
+
+        for (let i = 0; i < timeline.length; i++) {
+            const bar = timeline[i];
+            if (time >= duration) break;
+
+            // Search up to 12% of the bar either side of the prediction
+            const radius = bar.duration * scale * 0.12;
+            const step = 1 / frameRate;
+            let bestTime = time;
+            let bestValue = -1;
+
+            for (let t = Math.max(0, time - radius); t <= time + radius; t += step) {
+                // Mild preference for the predicted position
+                const penalty = 1 - 0.3 * (Math.abs(t - time) / (radius || 1));
+                const value = this.scoreBar(envelope, frameRate, bar, t, scale) * penalty;
+                if (value > bestValue) {
+                    bestValue = value;
+                    bestTime = t;
+                }
+            }
+
+            if (markers.length > 0) {
+                const previous = markers[markers.length - 1];
+                const expected = timeline[i - 1].duration;
+                if (expected > 0) {
+                    // Smooth the local tempo so one bad onset can't derail the grid
+                    const observed = (bestTime - previous.time) / expected;
+                    const clamped = Math.min(fit.scale * 1.25, Math.max(fit.scale * 0.8, observed));
+                    scale = scale * 0.7 + clamped * 0.3;
+                }
+            }
+
+            markers.push({ bar: bar.bar, pass: bar.pass, time: bestTime, source: 'detected' });
+            time = bestTime + bar.duration * scale;
+        }
+
+        return markers;
+    },
+
+    yieldToUI() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+};
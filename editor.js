@@ -11,22 +11,72 @@ class SyncEditor {
         this.audioFile = null;
         this.gpFile = null;
         this.gpFileData = null; // Store the raw GP file data (Uint8Array)
-        this.gpFileDataBase64 = null; // Store GP file as base64 for library
-        this.audioFileData = null; // Store raw audio file data for library (base64)
         this.gpFileName = null; // Store filename for library
         this.audioFileName = null; // Store filename for library
+        this.syncUrl = null; // Where a .tabsync opened with ?sync=URL came from
+        this.coverFileName = null; // Cover art and notes from a .tabpack, kept when saving
+        this.coverFile = null;
+        this.notes = '';
+        this.mediaType = 'audio'; // 'video' for lesson/performance videos
+        this.videoUrl = null; // Object URL shown in the video pane
         
         // Library project
         this.projectId = null;
         this.projectSaved = false;
+        this.mediaChanged = false; // Files not in the library yet; other saves write the markers only
         this.autoSaveTimeout = null;
         this.isSaving = false;
         
-        // Beat markers: array of { bar: number, time: number (in seconds) }
+        // Beat markers: array of { bar: number, pass: number, time: number (in seconds) }
+        // `pass` is the repeat pass of the bar; auto-detected and filled markers
+        // carry source: 'detected' / 'interpolated' until confirmed
         this.beatMarkers = [];
+        
+        // Tapping and the timeline work on playback positions (the score with
+        // repeats and jumps unrolled); totalBars counts those positions
         this.currentBarToMark = 1;
         this.totalBars = 0;
-        this.barTickMap = {};
+        this.barTickMap = [];
+        
+        // Optional beat-level markers: array of { bar, pass, beat, time }
+        this.beatAnchors = [];
+        this.currentBeatToMark = { position: 1, beat: 1 };
+        this.syncView = null; // normalized markers for the per-frame lookups (see getSyncData)
+        
+        // Tap mode: 'bar' (downbeats) or 'beat' (every beat)
+        this.tapMode = 'bar';
+        
+        // Marker editing on the waveform: selected marker object and active drag
+        this.selectedMarker = null;
+        this.markerDrag = null;
+        this.markerElements = new Map();
+        
+        // Pitch correction node for slowed-down playback (null = unavailable),
+        // and whether the audio goes through it (not at 1x)
+        this.timeStretch = null;
+        this.playingThroughStretch = false;
+        
+        // Waveform view: zoom in px per second (0 = fit the whole track),
+        // auto-follow of the playhead and the optional spectrogram lane
+        this.zoom = 0;
+        this.maxZoom = 2000;
+        this.zoomStep = 1.5;
+        this.spectrogramHeight = 96;
+        this.followPlayback = true;
+        this.spectrogram = null;
+        this.pinch = null;
+        
+        // Tap latency compensation (seconds), calibrated per device.
+        // appliedTapLatency is what the project's taps were corrected by.
+        this.tapLatency = this.loadTapLatency();
+        this.appliedTapLatency = null;
+        this.calibration = null;
+        this.calibrationWavesurfer = null;
+        
+        // Undo/redo history: stacks of { label, key, time, state }, where
+        // state is the marker snapshot to return to. Saved with the project.
+        this.history = { undo: [], redo: [] };
+        this.historyLimit = 100;
         
         // Playback state
         this.isPlaying = false;
@@ -34,6 +84,15 @@ class SyncEditor {
         this.lastSyncedBar = 0;
         this.lastTick = 0;
         
+        // Click track for checking the sync in preview mode
+        this.clickTrack = null;
+        this.clickBeats = [];
+        this.clickEnabled = false;
+        this.clickVolume = 0.7;
+        this.countIn = true;
+        this.countInTimer = null;
+        this.clickStartPosition = 0;
+        
         // Mode: 'edit' or 'preview'
         this.currentMode = 'edit';
         
@@ -42,6 +101,7 @@ class SyncEditor {
             // File inputs
             gpFileInput: document.getElementById('gpFileInput'),
             audioFileInput: document.getElementById('audioFileInput'),
+            editorSidebar: document.getElementById('editorSidebar'),
             gpDropZone: document.getElementById('gpDropZone'),
             audioDropZone: document.getElementById('audioDropZone'),
             gpFileName: document.getElementById('gpFileName'),
@@ -54,17 +114,40 @@ class SyncEditor {
             projectName: document.getElementById('projectName'),
             
             // Waveform
+            waveformSection: document.getElementById('waveformSection'),
             waveformContainer: document.getElementById('waveform'),
+            waveformMinimap: document.getElementById('waveformMinimap'),
+            zoomInBtn: document.getElementById('zoomInBtn'),
+            zoomOutBtn: document.getElementById('zoomOutBtn'),
+            zoomFitBtn: document.getElementById('zoomFitBtn'),
+            zoomLevel: document.getElementById('zoomLevel'),
+            followBtn: document.getElementById('followBtn'),
+            spectrogramBtn: document.getElementById('spectrogramBtn'),
             waveformCurrentTime: document.getElementById('waveformCurrentTime'),
             waveformTotalTime: document.getElementById('waveformTotalTime'),
             beatMarkersContainer: document.getElementById('beatMarkers'),
             
+            // Video pane
+            videoPane: document.getElementById('videoPane'),
+            videoPaneResizer: document.getElementById('videoPaneResizer'),
+            videoPlayer: document.getElementById('videoPlayer'),
+            videoPipBtn: document.getElementById('videoPipBtn'),
+            videoHideBtn: document.getElementById('videoHideBtn'),
+            
             // Tap controls
             tapBtn: document.getElementById('tapBtn'),
+            tapModeBtns: document.querySelectorAll('.tap-mode-btn'),
+            barLabel: document.getElementById('barLabel'),
+            latencyBtn: document.getElementById('latencyBtn'),
             currentBarNumber: document.getElementById('currentBarNumber'),
             barSublabel: document.getElementById('barSublabel'),
             undoBtn: document.getElementById('undoBtn'),
+            redoBtn: document.getElementById('redoBtn'),
+            historyList: document.getElementById('historyList'),
             clearAllBtn: document.getElementById('clearAllBtn'),
+            autoDetectBtn: document.getElementById('autoDetectBtn'),
+            interpolateBtn: document.getElementById('interpolateBtn'),
+            acceptProposalsBtn: document.getElementById('acceptProposalsBtn'),
             
             // Playback controls
             playPauseBtn: document.getElementById('playPauseBtn'),
@@ -74,6 +157,9 @@ class SyncEditor {
             skipForwardBtn: document.getElementById('skipForwardBtn'),
             speedSlider: document.getElementById('speedSlider'),
             speedValue: document.getElementById('speedValue'),
+            clickBtn: document.getElementById('clickBtn'),
+            countInBtn: document.getElementById('countInBtn'),
+            clickVolumeSlider: document.getElementById('clickVolumeSlider'),
             
             // Notation
             notationPreview: document.getElementById('notationPreview'),
@@ -104,11 +190,22 @@ class SyncEditor {
             
             // Share elements
             generateStandalonePlayer: document.getElementById('generateStandalonePlayer'),
+            exportTabPackBtn: document.getElementById('exportTabPackBtn'),
             directLinkOutput: document.getElementById('directLinkOutput'),
             embedCodeOutput: document.getElementById('embedCodeOutput'),
             embedWidth: document.getElementById('embedWidth'),
             embedHeight: document.getElementById('embedHeight'),
             
+            // Calibration Modal
+            calibrationModal: document.getElementById('calibrationModal'),
+            closeCalibrationModal: document.getElementById('closeCalibrationModal'),
+            calibrationWaveform: document.getElementById('calibrationWaveform'),
+            calibrationPad: document.getElementById('calibrationPad'),
+            calibrationStatus: document.getElementById('calibrationStatus'),
+            startCalibrationBtn: document.getElementById('startCalibrationBtn'),
+            saveCalibrationBtn: document.getElementById('saveCalibrationBtn'),
+            resetCalibrationBtn: document.getElementById('resetCalibrationBtn'),
+            
             // Loading
             loadingOverlay: document.getElementById('loadingOverlay'),
             loadingText: document.getElementById('loadingText'),
@@ -129,6 +226,7 @@ class SyncEditor {
         this.initWavesurfer();
         console.log('initWavesurfer() complete, wavesurfer:', this.wavesurfer ? 'created' : 'null');
         this.checkForOpenProject();
+        this.loadSyncFromUrl();
     }
     
     async checkForOpenProject() {
@@ -146,8 +244,8 @@ class SyncEditor {
             const project = await window.TabLibrary.loadProject(projectId);
             
             console.log('Loaded project:', project);
-            console.log('Has gpFileData:', !!project?.gpFileData, 'length:', project?.gpFileData?.length);
-            console.log('Has audioFileData:', !!project?.audioFileData, 'length:', project?.audioFileData?.length);
+            console.log('Has gpBlob:', !!project?.gpBlob, 'size:', project?.gpBlob?.size);
+            console.log('Has audioBlob:', !!project?.audioBlob, 'size:', project?.audioBlob?.size);
             
             if (!project) {
                 this.hideLoading();
@@ -157,20 +255,30 @@ class SyncEditor {
             
             this.projectId = project.id;
             this.beatMarkers = project.markers || [];
-            this.currentBarToMark = this.beatMarkers.length + 1;
+            this.beatAnchors = project.beats || [];
+            this.currentBarToMark = this.getFirstUnmarkedBar();
+            this.appliedTapLatency = project.tapLatency ?? null;
+            if (project.history) {
+                this.history = {
+                    undo: project.history.undo || [],
+                    redo: project.history.redo || []
+                };
+            }
             
             // Set title/artist
             this.elements.projectName.textContent = project.title;
             this.elements.exportTitle.value = project.title;
             this.elements.exportArtist.value = project.artist;
+            this.coverFileName = project.coverFileName || null;
+            this.coverFile = project.coverBlob ? new File([project.coverBlob], this.coverFileName) : null;
+            this.notes = project.notes || '';
             
             // Load GP file
-            if (project.gpFileData) {
-                console.log('Loading GP file from project, data length:', project.gpFileData.length);
-                // Store the base64 data directly for later saving
-                this.gpFileDataBase64 = project.gpFileData;
-                this.gpFileData = new Uint8Array(this.base64ToArrayBuffer(project.gpFileData));
+            if (project.gpBlob) {
+                console.log('Loading GP file from project, size:', project.gpBlob.size);
                 this.gpFileName = project.gpFileName || 'unknown.gp';
+                this.gpFile = new File([project.gpBlob], this.gpFileName);
+                this.gpFileData = new Uint8Array(await project.gpBlob.arrayBuffer());
                 this.elements.gpFileName.textContent = this.gpFileName;
                 this.elements.gpDropZone.classList.add('has-file');
                 this.elements.gpStatus.textContent = 'Loading...';
@@ -184,8 +292,8 @@ class SyncEditor {
             }
             
             // Load audio file
-            if (project.audioFileData) {
-                console.log('Loading audio file from project, data length:', project.audioFileData.length);
+            if (project.audioBlob) {
+                console.log('Loading audio file from project, size:', project.audioBlob.size);
                 // Ensure wavesurfer is initialized
                 if (!this.wavesurfer) {
                     this.initWavesurfer();
@@ -197,14 +305,12 @@ class SyncEditor {
                     return;
                 }
                 
-                // Store the base64 data directly for later saving
-                this.audioFileData = project.audioFileData;
                 this.audioFileName = project.audioFileName || 'unknown.mp3';
-                // Determine audio type from filename or default to mpeg
-                const audioType = this.audioFileName.toLowerCase().endsWith('.wav') ? 'audio/wav' 
-                    : this.audioFileName.toLowerCase().endsWith('.ogg') ? 'audio/ogg'
-                    : 'audio/mpeg';
-                const audioBlob = this.base64ToBlob(project.audioFileData, audioType);
+                this.mediaType = project.mediaType || window.TabLibrary.mediaTypeOf(this.audioFileName);
+                this.audioFile = new File([project.audioBlob], this.audioFileName, {
+                    type: project.audioBlob.type || window.TabLibrary.mimeTypeOf(this.audioFileName)
+                });
+                this.showVideo(this.audioFile);
                 this.elements.audioFileName.textContent = this.audioFileName;
                 this.elements.audioDropZone.classList.add('has-file');
                 this.elements.audioStatus.textContent = 'Loading...';
@@ -214,7 +320,7 @@ class SyncEditor {
                 if (placeholder) placeholder.remove();
                 
                 try {
-                    await this.wavesurfer.loadBlob(audioBlob);
+                    await this.wavesurfer.loadBlob(this.audioFile);
                 } catch (err) {
                     console.error('Failed to load audio from library:', err);
                     this.hideLoading();
@@ -236,35 +342,6 @@ class SyncEditor {
         }
     }
     
-    base64ToArrayBuffer(base64) {
-        const binary = atob(base64);
-        const array = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            array[i] = binary.charCodeAt(i);
-        }
-        return array.buffer;
-    }
-    
-    arrayBufferToBase64(buffer) {
-        const bytes = new Uint8Array(buffer);
-        let binary = '';
-        const chunkSize = 8192; // Process in chunks to avoid call stack issues
-        for (let i = 0; i < bytes.length; i += chunkSize) {
-            const chunk = bytes.subarray(i, Math.min(i + chunkSize, bytes.length));
-            binary += String.fromCharCode.apply(null, chunk);
-        }
-        return btoa(binary);
-    }
-    
-    base64ToBlob(base64, type) {
-        const binary = atob(base64);
-        const array = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            array[i] = binary.charCodeAt(i);
-        }
-        return new Blob([array], { type });
-    }
-    
     async fileToBase64(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
@@ -303,7 +380,19 @@ class SyncEditor {
                 barRadius: 2,
                 height: 'auto',
                 normalize: true,
-                backend: 'WebAudio'
+                minPxPerSec: this.zoom,
+                autoScroll: this.followPlayback,
+                autoCenter: this.followPlayback,
+                backend: 'WebAudio',
+                plugins: window.WaveSurfer.Minimap ? [
+                    WaveSurfer.Minimap.create({
+                        container: this.elements.waveformMinimap,
+                        height: 24,
+                        waveColor: '#3d4450',
+                        progressColor: '#00a383',
+                        overlayColor: 'rgba(0, 212, 170, 0.15)'
+                    })
+                ] : []
             });
             
             if (!this.wavesurfer) {
@@ -333,12 +422,20 @@ class SyncEditor {
             this.elements.audioStatus.textContent = 'Loaded';
             this.elements.audioStatus.classList.add('complete');
             this.updateTapButtonState();
+            this.updateButtonStates();
             
             // Update markers display now that we have duration
             // (needed when loading project from library with existing markers)
             this.updateMarkersDisplay();
+            this.enableViewControls(true);
+            this.syncMarkerTrack();
         });
         
+        // Keep the marker strip under the zoomed, scrolled waveform
+        this.wavesurfer.on('scroll', () => this.syncMarkerTrack());
+        this.wavesurfer.on('zoom', () => this.syncMarkerTrack());
+        this.wavesurfer.on('redraw', () => this.syncMarkerTrack());
+        
         this.wavesurfer.on('error', (err) => {
             console.error('WaveSurfer error:', err);
             // Clear loading timeout
@@ -367,30 +464,401 @@ class SyncEditor {
         this.wavesurfer.on('audioprocess', () => {
             const currentTime = this.wavesurfer.getCurrentTime();
             this.elements.waveformCurrentTime.textContent = this.formatTime(currentTime);
-            this.highlightCurrentBar(currentTime);
+            // The notation follows the speakers; taps have their own calibration
+            const outputLatency = window.OutputLatency.get(this.wavesurfer.getMediaElement().audioContext) * this.playbackSpeed;
+            const audibleTime = Math.max(0, this.getAudibleTime() - outputLatency);
+            this.highlightCurrentBar(audibleTime);
+            this.syncVideo(audibleTime);
+            this.scheduleClicks();
         });
         
         this.wavesurfer.on('seeking', () => {
+            if (this.clickTrack) window.ClickTrack.reset(this.clickTrack);
             const currentTime = this.wavesurfer.getCurrentTime();
             this.elements.waveformCurrentTime.textContent = this.formatTime(currentTime);
             // Sync notation when seeking
             this.lastSyncedBar = 0; // Reset to force sync
             this.highlightCurrentBar(currentTime);
+            this.syncVideo(currentTime);
         });
         
         this.wavesurfer.on('play', () => {
+            this.clickStartPosition = this.wavesurfer.getCurrentTime();
+            if (this.clickEnabled) this.updateClickBeats();
             this.isPlaying = true;
             this.updatePlayButton();
+            this.syncVideo(this.getAudibleTime());
         });
         
         this.wavesurfer.on('pause', () => {
+            if (this.clickTrack) window.ClickTrack.reset(this.clickTrack);
             this.isPlaying = false;
             this.updatePlayButton();
+            this.syncVideo(this.wavesurfer.getCurrentTime());
         });
         
         this.wavesurfer.on('finish', () => {
             this.isPlaying = false;
             this.updatePlayButton();
+            this.syncVideo(this.wavesurfer.getCurrentTime());
+        });
+        
+        this.initTimeStretch();
+        this.initClickTrack();
+    }
+    
+    /**
+     * Set up the pitch correction worklet for WaveSurfer's Web Audio
+     * output, so slowed-down playback keeps its pitch.
+     */
+    async initTimeStretch() {
+        const player = this.wavesurfer.getMediaElement();
+        if (!player || !player.audioContext || !player.gainNode) return;
+        
+        // A new player starts out connected straight to the speakers
+        this.playingThroughStretch = false;
+        const node = await window.TimeStretch.create(player.audioContext);
+        if (!node) return;
+        
+        node.connect(player.audioContext.destination);
+        window.TimeStretch.setSpeed(node, this.playbackSpeed);
+        this.timeStretch = node;
+        this.routeTimeStretch();
+    }
+    
+    /**
+     * Put the worklet between WaveSurfer and the speakers only when the
+     * speed isn't 1x; at 1x the audio skips it and its latency.
+     */
+    routeTimeStretch() {
+        const player = this.wavesurfer && this.wavesurfer.getMediaElement();
+        if (!this.timeStretch || !player || !player.gainNode) return;
+        
+        const throughStretch = this.playbackSpeed !== 1;
+        if (throughStretch === this.playingThroughStretch) return;
+        player.gainNode.disconnect();
+        player.gainNode.connect(throughStretch ? this.timeStretch : player.audioContext.destination);
+        this.playingThroughStretch = throughStretch;
+    }
+    
+    // Real-time delay of the worklet, 0 while it is bypassed
+    getStretchLatency() {
+        return this.playingThroughStretch ? window.TimeStretch.getLatency(this.timeStretch) : 0;
+    }
+    
+    initClickTrack() {
+        const player = this.wavesurfer.getMediaElement();
+        if (!player || !player.audioContext) return;
+        
+        // Straight to the output: the clicks have their own volume
+        this.clickTrack = window.ClickTrack.create(player.audioContext);
+        window.ClickTrack.setVolume(this.clickTrack, this.clickVolume);
+        this.elements.clickBtn.disabled = false;
+    }
+    
+    updateClickBeats() {
+        const syncData = this.getSyncData();
+        const duration = this.wavesurfer ? this.wavesurfer.getDuration() : 0;
+        this.clickBeats = this.barTickMap.length > 1 && duration > 0
+            ? window.ClickTrack.buildBeats(syncData, this.barTickMap, duration)
+            : [];
+    }
+    
+    toggleClick() {
+        if (!this.clickTrack) return;
+        this.clickEnabled = !this.clickEnabled;
+        this.elements.clickBtn.classList.toggle('active', this.clickEnabled);
+        if (this.clickEnabled) {
+            this.updateClickBeats();
+        } else {
+            window.ClickTrack.reset(this.clickTrack);
+        }
+    }
+    
+    /**
+     * Keep the clicks scheduled ahead of the playhead (preview mode only).
+     */
+    scheduleClicks() {
+        if (!this.clickEnabled || !this.clickTrack || this.currentMode !== 'preview') return;
+        
+        // Not clamped: while the first corrected audio is still on its way
+        // the position is before the play start, so the first click is on time
+        const latency = this.getStretchLatency();
+        const position = this.wavesurfer.getCurrentTime() - latency * this.playbackSpeed;
+        const startPosition = position < this.clickStartPosition ? this.clickStartPosition : -Infinity;
+        window.ClickTrack.schedule(this.clickTrack, this.clickBeats, position, this.playbackSpeed, null, startPosition);
+    }
+    
+    /**
+     * Play one bar of clicks at the tempo of the playhead, then start playback
+     * so its downbeat is heard right after the count-in.
+     */
+    playWithCountIn() {
+        this.updateClickBeats();
+        const context = this.clickTrack.context;
+        if (context.state === 'suspended') context.resume();
+        
+        const position = this.wavesurfer.getCurrentTime();
+        const latency = this.getStretchLatency();
+        const interval = window.ClickTrack.beatInterval(this.clickBeats, position) / this.playbackSpeed;
+        const count = window.ClickTrack.beatsPerBar(this.clickBeats, position);
+        const countInStart = context.currentTime + 0.05 + latency;
+        
+        window.ClickTrack.reset(this.clickTrack);
+        window.ClickTrack.scheduleCountIn(this.clickTrack, countInStart, count, interval);
+        
+        const playAt = countInStart + count * interval - latency;
+        this.elements.playPauseBtn.classList.add('counting-in');
+        this.countInTimer = setTimeout(() => {
+            this.countInTimer = null;
+            this.elements.playPauseBtn.classList.remove('counting-in');
+            this.wavesurfer.play();
+        }, (playAt - context.currentTime) * 1000);
+    }
+    
+    cancelCountIn() {
+        clearTimeout(this.countInTimer);
+        this.countInTimer = null;
+        this.elements.playPauseBtn.classList.remove('counting-in');
+        if (this.clickTrack) window.ClickTrack.reset(this.clickTrack);
+    }
+    
+    /**
+     * Playhead time of what is being heard: pitch correction delays the
+     * audio by a fixed real-time latency behind WaveSurfer's playhead.
+     */
+    getAudibleTime() {
+        const latency = this.getStretchLatency();
+        return Math.max(0, this.wavesurfer.getCurrentTime() - latency * this.playbackSpeed);
+    }
+    
+    // ===================================
+    // Video Pane
+    // ===================================
+    
+    /**
+     * Show a video recording next to the notation. The element stays muted:
+     * the sound comes from WaveSurfer, and the picture follows its clock.
+     */
+    showVideo(file) {
+        const video = this.elements.videoPlayer;
+        if (this.videoUrl) {
+            URL.revokeObjectURL(this.videoUrl);
+            this.videoUrl = null;
+        }
+        video.removeAttribute('src');
+        this.elements.videoPane.classList.remove('visible');
+        if (this.mediaType !== 'video') return;
+        
+        this.videoUrl = URL.createObjectURL(file);
+        video.src = this.videoUrl;
+        video.addEventListener('loadedmetadata', () => {
+            // Audio-only .webm/.mp4 files have no picture to show
+            if (video.videoWidth) {
+                this.elements.videoPane.classList.add('visible');
+                this.relayoutNotation();
+            }
+        }, { once: true });
+    }
+    
+    syncVideo(time) {
+        if (!this.videoUrl) return;
+        const video = this.elements.videoPlayer;
+        
+        if (video.playbackRate !== this.playbackSpeed) {
+            video.playbackRate = this.playbackSpeed;
+        }
+        if (this.isPlaying && video.paused) {
+            video.play().catch(() => {});
+        } else if (!this.isPlaying && !video.paused) {
+            video.pause();
+        }
+        // Let it run freely while playing unless it drifts noticeably
+        if (Math.abs(video.currentTime - time) > (this.isPlaying ? 0.15 : 0.02)) {
+            video.currentTime = time;
+        }
+    }
+    
+    toggleVideoPane() {
+        if (!this.videoUrl || !this.elements.videoPlayer.videoWidth) return;
+        this.elements.videoPane.classList.toggle('visible');
+        this.relayoutNotation();
+    }
+    
+    togglePictureInPicture() {
+        if (document.pictureInPictureElement) {
+            document.exitPictureInPicture();
+        } else if (this.videoUrl) {
+            this.elements.videoPlayer.requestPictureInPicture().catch((e) => {
+                console.error('Picture-in-Picture failed:', e);
+            });
+        }
+    }
+    
+    // Drag the pane's left edge; the notation takes the rest of the width
+    startVideoResize(e) {
+        e.preventDefault();
+        const pane = this.elements.videoPane;
+        const right = pane.getBoundingClientRect().right;
+        pane.classList.add('resizing');
+        
+        const move = (event) => {
+            pane.style.width = `${right - event.clientX}px`;
+        };
+        const end = () => {
+            pane.classList.remove('resizing');
+            document.removeEventListener('pointermove', move);
+            document.removeEventListener('pointerup', end);
+            this.relayoutNotation();
+        };
+        document.addEventListener('pointermove', move);
+        document.addEventListener('pointerup', end);
+    }
+    
+    // alphaTab only re-lays out when the window resizes
+    relayoutNotation() {
+        window.dispatchEvent(new Event('resize'));
+    }
+    
+    // ===================================
+    // Waveform Zoom & Spectrogram
+    // ===================================
+    
+    enableViewControls(enabled) {
+        this.elements.zoomInBtn.disabled = !enabled;
+        this.elements.zoomOutBtn.disabled = !enabled;
+        this.elements.zoomFitBtn.disabled = !enabled;
+        this.elements.spectrogramBtn.disabled = !enabled || !window.WaveSurfer.Spectrogram;
+        this.updateZoomDisplay();
+    }
+    
+    // Zoom at which the whole track fits the waveform width
+    getFitZoom() {
+        const duration = this.wavesurfer ? this.wavesurfer.getDuration() : 0;
+        return duration > 0 ? this.elements.waveformContainer.clientWidth / duration : 0;
+    }
+    
+    /**
+     * Zoom to `pxPerSec`, keeping the time under `anchorX` (pixels from the
+     * left edge of the waveform) in place. Without an anchor the playhead is
+     * kept in place if it is visible, otherwise the centre of the view.
+     */
+    setZoom(pxPerSec, anchorX) {
+        const fitZoom = this.getFitZoom();
+        if (!fitZoom) return;
+        
+        const viewWidth = this.elements.waveformContainer.clientWidth;
+        const currentZoom = this.zoom || fitZoom;
+        const scroll = this.wavesurfer.getScroll();
+        
+        if (anchorX === undefined) {
+            const playheadX = this.wavesurfer.getCurrentTime() * currentZoom - scroll;
+            anchorX = playheadX >= 0 && playheadX <= viewWidth ? playheadX : viewWidth / 2;
+        }
+        const anchorTime = (scroll + anchorX) / currentZoom;
+        
+        this.zoom = pxPerSec <= fitZoom * 1.01 ? 0 : Math.min(this.maxZoom, pxPerSec);
+        this.wavesurfer.zoom(this.zoom);
+        if (this.zoom) {
+            this.wavesurfer.setScroll(Math.max(0, anchorTime * this.zoom - anchorX));
+        }
+        
+        this.syncMarkerTrack();
+        this.updateZoomDisplay();
+    }
+    
+    zoomBy(factor, anchorX) {
+        const fitZoom = this.getFitZoom();
+        if (!fitZoom) return;
+        this.setZoom((this.zoom || fitZoom) * factor, anchorX);
+    }
+    
+    updateZoomDisplay() {
+        const fitZoom = this.getFitZoom();
+        this.elements.zoomLevel.textContent = this.zoom && fitZoom
+            ? `${(this.zoom / fitZoom).toFixed(1)}×`
+            : 'Fit';
+        this.elements.zoomOutBtn.disabled = !fitZoom || !this.zoom;
+        this.elements.zoomInBtn.disabled = !fitZoom || this.zoom >= this.maxZoom;
+    }
+    
+    /**
+     * The marker strip spans the full waveform width and follows its scroll
+     * position, so markers keep their percentage positions at any zoom.
+     */
+    syncMarkerTrack() {
+        if (!this.wavesurfer) return;
+        const track = this.elements.beatMarkersContainer;
+        track.style.width = this.zoom ? `${this.wavesurfer.getWrapper().scrollWidth}px` : '100%';
+        track.style.transform = this.zoom ? `translateX(${-this.wavesurfer.getScroll()}px)` : '';
+    }
+    
+    onWaveformWheel(e) {
+        if (!this.getFitZoom()) return;
+        
+        // Horizontal swipes and Shift+wheel keep scrolling the zoomed waveform
+        if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) return;
+        e.preventDefault();
+        
+        // Trackpad pinch arrives as Ctrl+wheel with small deltas
+        const rect = this.elements.waveformContainer.getBoundingClientRect();
+        const sensitivity = e.ctrlKey ? 0.01 : 0.002;
+        this.zoomBy(Math.exp(-e.deltaY * sensitivity), e.clientX - rect.left);
+    }
+    
+    onWaveformTouch(e) {
+        if (e.touches.length !== 2 || !this.getFitZoom()) {
+            this.pinch = null;
+            return;
+        }
+        
+        const [a, b] = e.touches;
+        const distance = Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+        const rect = this.elements.waveformContainer.getBoundingClientRect();
+        const centerX = (a.clientX + b.clientX) / 2 - rect.left;
+        
+        if (!this.pinch) {
+            this.pinch = { distance, zoom: this.zoom || this.getFitZoom() };
+            return;
+        }
+        
+        e.preventDefault();
+        this.setZoom(this.pinch.zoom * (distance / this.pinch.distance), centerX);
+    }
+    
+    toggleFollow() {
+        this.followPlayback = !this.followPlayback;
+        this.elements.followBtn.classList.toggle('active', this.followPlayback);
+        if (this.wavesurfer) {
+            this.wavesurfer.setOptions({
+                autoScroll: this.followPlayback,
+                autoCenter: this.followPlayback
+            });
+        }
+    }
+    
+    toggleSpectrogram(enabled = !this.spectrogram) {
+        if (!this.wavesurfer || !window.WaveSurfer.Spectrogram) return;
+        
+        if (enabled && !this.spectrogram) {
+            this.spectrogram = this.wavesurfer.registerPlugin(WaveSurfer.Spectrogram.create({
+                height: this.spectrogramHeight,
+                fftSamples: 512,
+                labels: false
+            }));
+        } else if (!enabled && this.spectrogram) {
+            this.spectrogram.destroy();
+            this.spectrogram = null;
+        }
+        
+        // The spectrogram renders under the waveform inside the same scroll
+        // area, so give the section room for it and pin the waveform height
+        this.elements.waveformSection.classList.toggle('with-spectrogram', !!this.spectrogram);
+        this.elements.spectrogramBtn.classList.toggle('active', !!this.spectrogram);
+        this.wavesurfer.setOptions({
+            height: this.spectrogram
+                ? this.elements.waveformContainer.clientHeight - this.spectrogramHeight
+                : 'auto'
         });
     }
     
@@ -453,6 +921,8 @@ class SyncEditor {
             // Mute alphaTab's audio - we only use it for cursor/highlighting
             this.alphaTab.masterVolume = 0;
             this.alphaTab.metronomeVolume = 0;
+            // The playback sequence (repeats unrolled) comes from the generated MIDI
+            this.buildBarTickMap();
         });
         
         // Start continuous scroll tracking for notation
@@ -499,20 +969,23 @@ class SyncEditor {
     }
     
     buildBarTickMap() {
-        // Build a map of bar number -> tick position for scrolling
-        this.barTickMap = {};
-        const tickCache = this.alphaTab.tickCache;
-        if (tickCache && tickCache.masterBars) {
-            tickCache.masterBars.forEach((bar, i) => {
-                this.barTickMap[i + 1] = { start: bar.start, end: bar.end };
-            });
+        // Build a map of playback position -> bar, pass and tick range
+        this.barTickMap = window.TabSync.buildBarTickMap(this.alphaTab);
+        
+        // Repeats and jumps make the playback sequence longer than the score
+        const playedBars = this.barTickMap.length - 1;
+        if (playedBars > 0 && playedBars !== this.totalBars) {
+            this.totalBars = playedBars;
+            this.elements.totalBars.textContent = this.totalBars;
+            this.currentBarToMark = this.getFirstUnmarkedBar();
+            this.updateAllDisplays();
         }
     }
     
-    scrollToBar(barNumber) {
-        if (!this.alphaTab || !this.barTickMap || !this.barTickMap[barNumber]) return;
+    scrollToBar(position) {
+        if (!this.alphaTab || !this.barTickMap || !this.barTickMap[position]) return;
         
-        const barTicks = this.barTickMap[barNumber];
+        const barTicks = this.barTickMap[position];
         try {
             this.alphaTab.tickPosition = barTicks.start;
         } catch (e) {
@@ -543,13 +1016,75 @@ class SyncEditor {
         this.setupDropZone(this.elements.gpDropZone, this.elements.gpFileInput);
         this.setupDropZone(this.elements.audioDropZone, this.elements.audioFileInput);
         
+        // A folder (or several files) dropped anywhere on the sidebar is matched by name
+        const sidebar = this.elements.editorSidebar;
+        sidebar.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            sidebar.classList.add('dragover');
+        });
+        sidebar.addEventListener('dragleave', (e) => {
+            if (!sidebar.contains(e.relatedTarget)) sidebar.classList.remove('dragover');
+        });
+        sidebar.addEventListener('drop', (e) => {
+            e.preventDefault();
+            sidebar.classList.remove('dragover');
+            this.loadDroppedFiles(e.dataTransfer);
+        });
+        
+        // Video pane
+        this.elements.videoHideBtn.addEventListener('click', () => this.toggleVideoPane());
+        this.elements.videoPipBtn.addEventListener('click', () => this.togglePictureInPicture());
+        this.elements.videoPipBtn.style.display = document.pictureInPictureEnabled ? '' : 'none';
+        this.elements.videoPaneResizer.addEventListener('pointerdown', (e) => this.startVideoResize(e));
+        
+        // Clicking the waveform itself drops the marker selection
+        this.elements.waveformContainer.addEventListener('pointerdown', () => this.selectMarker(null));
+        
+        // Waveform zoom: wheel, pinch, buttons
+        this.elements.waveformContainer.addEventListener('wheel', (e) => this.onWaveformWheel(e), { passive: false });
+        this.elements.waveformContainer.addEventListener('touchstart', (e) => this.onWaveformTouch(e), { passive: true });
+        this.elements.waveformContainer.addEventListener('touchmove', (e) => this.onWaveformTouch(e), { passive: false });
+        this.elements.waveformContainer.addEventListener('touchend', () => { this.pinch = null; });
+        this.elements.zoomInBtn.addEventListener('click', () => this.zoomBy(this.zoomStep));
+        this.elements.zoomOutBtn.addEventListener('click', () => this.zoomBy(1 / this.zoomStep));
+        this.elements.zoomFitBtn.addEventListener('click', () => this.setZoom(0));
+        this.elements.followBtn.addEventListener('click', () => this.toggleFollow());
+        this.elements.spectrogramBtn.addEventListener('click', () => this.toggleSpectrogram());
+        
         // Tap button
         this.elements.tapBtn.addEventListener('click', () => this.recordBeatMarker());
         
-        // Undo/Clear
-        this.elements.undoBtn.addEventListener('click', () => this.undoLastMarker());
+        // Tap mode toggle
+        this.elements.tapModeBtns.forEach(btn => {
+            btn.addEventListener('click', () => this.setTapMode(btn.dataset.tapMode));
+        });
+        
+        // Tap latency calibration
+        this.elements.latencyBtn.addEventListener('click', () => this.showCalibrationModal());
+        this.elements.closeCalibrationModal.addEventListener('click', () => this.hideCalibrationModal());
+        this.elements.startCalibrationBtn.addEventListener('click', () => this.startCalibration());
+        this.elements.saveCalibrationBtn.addEventListener('click', () => this.saveCalibration());
+        this.elements.resetCalibrationBtn.addEventListener('click', () => this.resetCalibration());
+        this.elements.calibrationPad.addEventListener('pointerdown', () => this.recordCalibrationTap());
+        this.elements.calibrationModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.calibrationModal) {
+                this.hideCalibrationModal();
+            }
+        });
+        this.updateLatencyButton();
+        
+        // Undo/Redo/Clear
+        this.elements.undoBtn.addEventListener('click', () => this.undo());
+        this.elements.redoBtn.addEventListener('click', () => this.redo());
         this.elements.clearAllBtn.addEventListener('click', () => this.clearAllMarkers());
         
+        // Auto-detect
+        this.elements.autoDetectBtn.addEventListener('click', () => this.autoDetectMarkers());
+        this.elements.acceptProposalsBtn.addEventListener('click', () => this.acceptProposedMarkers());
+        
+        // Interpolate from tempo map
+        this.elements.interpolateBtn.addEventListener('click', () => this.interpolateMarkers());
+        
         // Playback controls
         this.elements.playPauseBtn.addEventListener('click', () => this.togglePlayPause());
         this.elements.skipBackBtn.addEventListener('click', () => this.skipToStart());
@@ -557,13 +1092,33 @@ class SyncEditor {
         this.elements.forwardBtn.addEventListener('click', () => this.forward());
         this.elements.skipForwardBtn.addEventListener('click', () => this.skipToEnd());
         
+        // Click track (preview mode)
+        this.elements.clickBtn.addEventListener('click', () => this.toggleClick());
+        this.elements.countInBtn.addEventListener('click', () => {
+            this.countIn = !this.countIn;
+            this.elements.countInBtn.classList.toggle('active', this.countIn);
+        });
+        this.elements.clickVolumeSlider.addEventListener('input', (e) => {
+            this.clickVolume = parseInt(e.target.value) / 100;
+            if (this.clickTrack) {
+                window.ClickTrack.setVolume(this.clickTrack, this.clickVolume);
+            }
+        });
+        
         // Speed slider
         this.elements.speedSlider.addEventListener('input', (e) => {
             const value = parseInt(e.target.value);
             this.playbackSpeed = value / 100;
             this.elements.speedValue.textContent = `${value}%`;
+            window.TimeStretch.setSpeed(this.timeStretch, this.playbackSpeed);
             if (this.wavesurfer) {
+                // The Web Audio backend re-times its playhead from the new
+                // rate, so restart playback at the current position
+                const wasPlaying = this.isPlaying;
+                if (wasPlaying) this.wavesurfer.pause();
                 this.wavesurfer.setPlaybackRate(this.playbackSpeed);
+                this.routeTimeStretch();
+                if (wasPlaying) this.wavesurfer.play();
             }
         });
         
@@ -589,6 +1144,7 @@ class SyncEditor {
         
         // Share/Embed
         this.elements.generateStandalonePlayer.addEventListener('click', () => this.generateStandalonePlayer());
+        this.elements.exportTabPackBtn.addEventListener('click', () => this.exportTabPack());
         this.elements.embedWidth.addEventListener('input', () => this.updateEmbedCode());
         this.elements.embedHeight.addEventListener('input', () => this.updateEmbedCode());
         
@@ -620,6 +1176,17 @@ class SyncEditor {
             // Don't handle shortcuts when typing in inputs
             if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
             
+            // While calibrating, T taps along with the click track and nothing else applies
+            if (this.elements.calibrationModal.classList.contains('visible')) {
+                if (e.code === 'KeyT') {
+                    e.preventDefault();
+                    this.recordCalibrationTap();
+                } else if (e.code === 'Escape') {
+                    this.hideCalibrationModal();
+                }
+                return;
+            }
+            
             switch(e.code) {
                 case 'Space':
                     e.preventDefault();
@@ -629,19 +1196,58 @@ class SyncEditor {
                     e.preventDefault();
                     this.recordBeatMarker();
                     break;
+                case 'KeyB':
+                    if (e.metaKey || e.ctrlKey || e.altKey) break; // browser shortcuts
+                    this.setTapMode(this.tapMode === 'bar' ? 'beat' : 'bar');
+                    break;
+                case 'KeyI':
+                    if (e.metaKey || e.ctrlKey || e.altKey) break; // e.g. opening devtools
+                    this.interpolateMarkers();
+                    break;
                 case 'KeyZ':
                     if (e.metaKey || e.ctrlKey) {
                         e.preventDefault();
-                        this.undoLastMarker();
+                        if (e.shiftKey) {
+                            this.redo();
+                        } else {
+                            this.undo();
+                        }
+                    }
+                    break;
+                case 'KeyY':
+                    if (e.metaKey || e.ctrlKey) {
+                        e.preventDefault();
+                        this.redo();
                     }
                     break;
+                case 'BracketLeft':
+                    this.shiftAllMarkers(e.shiftKey ? -0.05 : -0.01);
+                    break;
+                case 'BracketRight':
+                    this.shiftAllMarkers(e.shiftKey ? 0.05 : 0.01);
+                    break;
                 case 'ArrowLeft':
                     e.preventDefault();
-                    this.rewind();
+                    if (this.selectedMarker) {
+                        this.nudgeSelectedMarker(e.shiftKey ? -0.01 : -0.005);
+                    } else {
+                        this.rewind();
+                    }
                     break;
                 case 'ArrowRight':
                     e.preventDefault();
-                    this.forward();
+                    if (this.selectedMarker) {
+                        this.nudgeSelectedMarker(e.shiftKey ? 0.01 : 0.005);
+                    } else {
+                        this.forward();
+                    }
+                    break;
+                case 'Delete':
+                case 'Backspace':
+                    if (this.selectedMarker) {
+                        e.preventDefault();
+                        this.deleteSelectedMarker();
+                    }
                     break;
                 case 'Home':
                     e.preventDefault();
@@ -652,12 +1258,39 @@ class SyncEditor {
                     this.skipToEnd();
                     break;
                 case 'Escape':
-                    if (this.currentMode === 'preview') {
+                    if (this.selectedMarker) {
+                        this.selectMarker(null);
+                    } else if (this.currentMode === 'preview') {
                         this.setMode('edit');
                     } else {
                         this.hideExportModal();
                     }
                     break;
+                case 'Equal':
+                case 'NumpadAdd':
+                    if (e.metaKey || e.ctrlKey) break; // leave browser zoom alone
+                    e.preventDefault();
+                    this.zoomBy(this.zoomStep);
+                    break;
+                case 'Minus':
+                case 'NumpadSubtract':
+                    if (e.metaKey || e.ctrlKey) break;
+                    e.preventDefault();
+                    this.zoomBy(1 / this.zoomStep);
+                    break;
+                case 'Digit0':
+                    if (e.metaKey || e.ctrlKey) break;
+                    this.setZoom(0);
+                    break;
+                case 'KeyM':
+                    if (this.currentMode === 'preview') {
+                        this.toggleClick();
+                    }
+                    break;
+                case 'KeyV':
+                    if (e.metaKey || e.ctrlKey) break; // leave paste alone
+                    this.toggleVideoPane();
+                    break;
                 case 'KeyP':
                     // Toggle preview mode if possible
                     if (this.beatMarkers.length > 0 && this.score && this.wavesurfer) {
@@ -690,6 +1323,11 @@ class SyncEditor {
         zone.addEventListener('drop', (e) => {
             e.preventDefault();
             zone.classList.remove('dragover');
+            // Folders and multiple files go on to the sidebar's drop handler
+            const entry = e.dataTransfer.items[0]?.webkitGetAsEntry?.();
+            if (e.dataTransfer.items.length > 1 || entry?.isDirectory) return;
+            e.stopPropagation();
+            this.elements.editorSidebar.classList.remove('dragover');
             const file = e.dataTransfer.files[0];
             if (file) {
                 const dt = new DataTransfer();
@@ -705,6 +1343,7 @@ class SyncEditor {
         
         this.gpFile = file;
         this.gpFileName = file.name; // Store filename for saving
+        this.mediaChanged = true;
         this.showLoading('Loading Guitar Pro file...');
         
         // Update UI
@@ -724,9 +1363,6 @@ class SyncEditor {
         const reader = new FileReader();
         reader.onload = (e) => {
             this.gpFileData = new Uint8Array(e.target.result);
-            // Also convert to base64 for library saving
-            this.gpFileDataBase64 = this.arrayBufferToBase64(e.target.result);
-            console.log('GP file converted to base64, length:', this.gpFileDataBase64?.length);
             this.alphaTab.load(this.gpFileData);
         };
         reader.onerror = () => {
@@ -756,15 +1392,13 @@ class SyncEditor {
         
         this.audioFile = file;
         this.audioFileName = file.name; // Store filename for saving
+        this.mediaType = window.TabLibrary.mediaTypeOf(file.name, file.type);
+        this.mediaChanged = true;
         this.showLoading('Loading audio file...');
         
-        // Convert to base64 for library saving (do this first, synchronously wait)
-        try {
-            this.audioFileData = await this.fileToBase64(file);
-            console.log('Audio converted to base64, length:', this.audioFileData?.length);
-        } catch (err) {
-            console.error('Failed to convert audio to base64:', err);
-        }
+        // Videos: the picture plays in the video pane, the waveform and
+        // taps use their audio track
+        this.showVideo(file);
         
         // Update UI
         this.elements.audioFileName.textContent = file.name;
@@ -800,29 +1434,124 @@ class SyncEditor {
         }
     }
     
-    loadSyncFile(file) {
-        if (!file) return;
+    async loadSyncFile(file) {
+        if (!file) return false;
         
-        const reader = new FileReader();
-        reader.onload = (e) => {
+        let syncData;
+        try {
+            syncData = JSON.parse(await file.text());
+        } catch (err) {
+            alert('Invalid sync file format');
+            return false;
+        }
+        this.syncUrl = null;
+        this.applySyncData(syncData);
+        return true;
+    }
+    
+    /**
+     * Open a .tabsync from the web (?sync=URL). The Guitar Pro file and
+     * recording it names are fetched relative to it by applySyncData.
+     */
+    async loadSyncFromUrl() {
+        const syncParam = new URLSearchParams(window.location.search).get('sync');
+        if (!syncParam) return;
+        
+        this.showLoading('Loading sync file...');
+        try {
+            const syncUrl = new URL(syncParam, window.location.href).href;
+            const response = await fetch(syncUrl);
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            const syncData = await response.json();
+            this.syncUrl = syncUrl;
+            this.hideLoading();
+            this.applySyncData(syncData);
+        } catch (e) {
+            console.error('Failed to load sync file from URL:', e);
+            this.hideLoading();
+            alert(`Failed to load the sync file: ${syncParam}`);
+        }
+    }
+    
+    /**
+     * Fetch the files a .tabsync names that haven't been loaded yet: relative
+     * names for a .tabsync opened from a URL, absolute URLs from any. What
+     * can't be fetched is named in its drop zone for the user to pick.
+     */
+    async fetchReferencedFiles(syncData) {
+        const fetchInto = async (reference, loaded, label, load) => {
+            if (loaded || !reference) return;
+            const name = window.TabSync.fileNameOf(reference);
+            label.textContent = `Drop ${name} or click`;
+            
+            const url = window.TabSync.resolveFileUrl(reference, this.syncUrl);
+            if (!url) return;
             try {
-                const syncData = JSON.parse(e.target.result);
-                this.applySyncData(syncData);
-            } catch (err) {
-                alert('Invalid sync file format');
+                await load(await window.TabSync.fetchFile(url));
+            } catch (e) {
+                console.error('Failed to fetch referenced file:', e);
+                label.textContent = `Couldn't fetch ${name} - drop it or click`;
             }
         };
-        reader.readAsText(file);
+        
+        await fetchInto(syncData.gpFile, this.gpFileName, this.elements.gpFileName, (file) => this.loadGPFile(file));
+        await fetchInto(syncData.audioFile, this.audioFileName, this.elements.audioFileName, (file) => this.loadAudioFile(file));
+    }
+    
+    /**
+     * A dropped folder (or set of files): the .tabsync in it is applied and
+     * the tab and recording it names are matched by file name.
+     */
+    async loadDroppedFiles(dataTransfer) {
+        let files;
+        try {
+            files = await window.TabSync.readDroppedFiles(dataTransfer);
+        } catch (e) {
+            console.error('Failed to read dropped files:', e);
+            alert('Failed to read the dropped files.');
+            return;
+        }
+        
+        const match = window.TabSync.matchFiles(files);
+        let syncData = null;
+        if (match.sync) {
+            try {
+                syncData = JSON.parse(await match.sync.text());
+            } catch (e) {
+                alert('Invalid sync file format');
+                return;
+            }
+        }
+        
+        const { gp, audio } = window.TabSync.matchFiles(files, syncData);
+        if (!syncData && !gp && !audio) {
+            alert('No .tabsync, Guitar Pro or audio/video files found in the drop.');
+            return;
+        }
+        
+        // Load the files first so applySyncData only fetches what's missing
+        if (gp) this.loadGPFile(gp);
+        if (audio) await this.loadAudioFile(audio);
+        if (syncData) {
+            this.syncUrl = null;
+            this.applySyncData(syncData);
+        }
     }
     
     applySyncData(syncData) {
         // Apply loaded sync data
         if (syncData.markers && Array.isArray(syncData.markers)) {
-            this.beatMarkers = syncData.markers;
-            this.currentBarToMark = this.beatMarkers.length + 1;
+            // Older (version 2) files have no beat markers
+            const normalized = window.TabSync.normalize(syncData);
+            this.pushHistory('Import sync file');
+            this.beatMarkers = normalized.markers;
+            this.beatAnchors = normalized.beats;
+            this.currentBarToMark = this.getFirstUnmarkedBar();
+            this.appliedTapLatency = syncData.tapLatency ?? null;
             
             // Update UI
             this.updateAllDisplays();
+            this.scheduleAutoSave();
             
             // Set title/artist if present
             if (syncData.title) {
@@ -833,15 +1562,15 @@ class SyncEditor {
                 this.elements.exportArtist.value = syncData.artist;
             }
             
-            // Prompt to load the associated files
-            alert(`Sync data loaded with ${this.beatMarkers.length} markers.\n\nPlease load the GP file: ${syncData.gpFile || 'Unknown'}\nAnd audio file: ${syncData.audioFile || 'Unknown'}`);
+            // Bring in the associated files, or name them in the drop zones
+            this.fetchReferencedFiles(syncData);
         }
     }
     
     onScoreLoaded(score) {
         this.score = score;
         
-        // Count total bars
+        // Count total bars (updated to the played sequence once the tick map is built)
         this.totalBars = score.masterBars.length;
         this.elements.totalBars.textContent = this.totalBars;
         
@@ -859,9 +1588,13 @@ class SyncEditor {
         });
         
         // Reset markers if this is a new file
-        if (this.beatMarkers.length === 0 || this.beatMarkers.length > this.totalBars) {
+        if (this.beatMarkers.length === 0 || this.beatMarkers.some(m => m.bar > score.masterBars.length)) {
+            // Old snapshots belong to a different score
+            this.history = { undo: [], redo: [] };
             this.beatMarkers = [];
+            this.beatAnchors = [];
             this.currentBarToMark = 1;
+            this.currentBeatToMark = { position: 1, beat: 1 };
         }
         
         // Pre-fill export fields from score metadata
@@ -874,15 +1607,41 @@ class SyncEditor {
     
     recordBeatMarker() {
         if (!this.wavesurfer || !this.score) return;
+        
+        if (this.tapMode === 'beat') {
+            this.recordBeatAnchor();
+            return;
+        }
+        
         if (this.currentBarToMark > this.totalBars) return;
         
-        const currentTime = this.wavesurfer.getCurrentTime();
+        const currentTime = this.getTapTime();
+        
+        // Add marker (a tap replaces any existing marker for this bar)
+        const position = this.currentBarToMark;
+        const slot = this.slotAt(position);
         
-        // Add marker
-        this.beatMarkers.push({
-            bar: this.currentBarToMark,
+        // A tap can't land at or before an earlier bar's marker (playhead
+        // moved back without picking the bar to tap from); keep what's there
+        const overtaken = this.beatMarkers.find(m => this.positionOf(m) < position && m.time >= currentTime);
+        if (overtaken) {
+            this.showNotification(`Tap ignored: ${this.describeMarker(overtaken)} is marked later in the recording. Click a bar in the bar timeline to tap from there.`);
+            return;
+        }
+        
+        this.pushHistory(`Tap bar ${window.TabSync.formatBar(slot)}`);
+        const marker = {
+            bar: slot.bar,
+            pass: slot.pass,
             time: currentTime
+        };
+        // Re-tapping from an earlier bar overwrites later markers it has overtaken
+        this.beatMarkers = this.beatMarkers.filter(m => {
+            const markerPosition = this.positionOf(m);
+            return markerPosition !== position && !(markerPosition > position && m.time <= marker.time);
         });
+        this.beatMarkers.push(marker);
+        this.beatMarkers.sort((a, b) => this.positionOf(a) - this.positionOf(b));
         
         // Advance to next bar
         this.currentBarToMark++;
@@ -900,31 +1659,109 @@ class SyncEditor {
         this.scheduleAutoSave();
     }
     
-    flashTapButton() {
-        this.elements.tapBtn.classList.add('tapped');
-        setTimeout(() => {
-            this.elements.tapBtn.classList.remove('tapped');
-        }, 150);
+    recordBeatAnchor() {
+        const { position, beat } = this.currentBeatToMark;
+        if (position > this.totalBars) return;
+        
+        // Re-tapping a beat replaces it
+        const slot = this.slotAt(position);
+        this.pushHistory(`Tap beat ${slot.bar}.${beat}`);
+        this.beatAnchors = this.beatAnchors.filter(m => !(this.positionOf(m) === position && m.beat === beat));
+        this.beatAnchors.push({
+            bar: slot.bar,
+            pass: slot.pass,
+            beat,
+            time: this.getTapTime()
+        });
+        this.beatAnchors.sort((a, b) => this.positionOf(a) - this.positionOf(b) || a.beat - b.beat);
+        
+        // Advance to the next beat, rolling over into the next bar
+        if (beat < this.getBeatsInBar(position)) {
+            this.currentBeatToMark = { position, beat: beat + 1 };
+        } else {
+            this.currentBeatToMark = { position: position + 1, beat: 1 };
+            this.scrollToBar(position + 1);
+        }
+        
+        this.updateAllDisplays();
+        this.flashTapButton();
+        this.scheduleAutoSave();
+    }
+    
+    /**
+     * Playhead time of a tap, corrected for this device's tap latency.
+     * Latency is real time, so it shrinks with the playback speed.
+     */
+    getTapTime() {
+        this.appliedTapLatency = this.tapLatency;
+        return Math.max(0, this.getAudibleTime() - this.tapLatency * this.playbackSpeed);
+    }
+    
+    getBeatsInBar(position) {
+        const bar = this.slotAt(position).bar;
+        return this.score?.masterBars[bar - 1]?.timeSignatureNumerator || 4;
+    }
+    
+    // ===================================
+    // Playback Positions
+    // ===================================
+    
+    slotAt(position) {
+        return this.barTickMap[position] || { bar: position, pass: 1 };
     }
     
-    undoLastMarker() {
-        if (this.beatMarkers.length === 0) return;
+    positionOf(marker) {
+        // Before the tick map exists positions are plain bar numbers
+        if (this.barTickMap.length === 0) return marker.bar;
+        return window.TabSync.positionOf(this.barTickMap, marker.bar, marker.pass);
+    }
+    
+    markerAt(position) {
+        return this.beatMarkers.find(m => this.positionOf(m) === position);
+    }
+    
+    setTapMode(mode) {
+        if (mode === this.tapMode) return;
         
-        this.beatMarkers.pop();
-        this.currentBarToMark--;
+        this.tapMode = mode;
+        this.elements.tapModeBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tapMode === mode);
+        });
         
-        this.updateAllDisplays();
+        if (mode === 'beat') {
+            // Start beat tapping from the bar under the playhead
+            const time = this.wavesurfer ? this.wavesurfer.getCurrentTime() : 0;
+            const position = window.TabSync.positionAtTime(this.getSyncData(), time, this.barTickMap) || 1;
+            this.currentBeatToMark = { position, beat: 1 };
+            this.scrollToBar(position);
+        }
         
-        // Schedule auto-save
-        this.scheduleAutoSave();
+        this.updateAllDisplays();
+    }
+    
+    canTapMore() {
+        if (this.tapMode === 'beat') {
+            return this.currentBeatToMark.position <= this.totalBars;
+        }
+        return this.currentBarToMark <= this.totalBars;
+    }
+    
+    flashTapButton() {
+        this.elements.tapBtn.classList.add('tapped');
+        setTimeout(() => {
+            this.elements.tapBtn.classList.remove('tapped');
+        }, 150);
     }
     
     clearAllMarkers() {
-        if (this.beatMarkers.length === 0) return;
-        if (!confirm('Clear all beat markers? This cannot be undone.')) return;
+        if (this.beatMarkers.length === 0 && this.beatAnchors.length === 0) return;
+        if (!confirm('Clear all beat markers? You can undo this with Ctrl+Z.')) return;
         
+        this.pushHistory('Clear all');
         this.beatMarkers = [];
+        this.beatAnchors = [];
         this.currentBarToMark = 1;
+        this.currentBeatToMark = { position: 1, beat: 1 };
         
         this.updateAllDisplays();
         
@@ -932,53 +1769,580 @@ class SyncEditor {
         this.scheduleAutoSave();
     }
     
-    updateAllDisplays() {
-        this.updateCurrentBarDisplay();
-        this.updateMarkersDisplay();
-        this.updateMarkersTimeline();
-        this.updateSyncStats();
-        this.updateButtonStates();
-    }
-    
-    updateCurrentBarDisplay() {
-        if (this.totalBars === 0) {
-            this.elements.currentBarNumber.textContent = '—';
-            this.elements.barSublabel.textContent = 'Load files to begin';
+    async autoDetectMarkers() {
+        if (!this.wavesurfer || !this.score) return;
+        
+        const audioBuffer = this.wavesurfer.getDecodedData();
+        if (!audioBuffer) {
+            alert('Audio is not decoded yet. Please wait for the waveform to finish loading.');
+            return;
+        }
+        
+        const hasTapped = this.beatMarkers.some(m => !m.source);
+        if (hasTapped && !confirm('Replace existing markers with auto-detected proposals?')) return;
+        
+        if (this.isPlaying) {
+            this.wavesurfer.pause();
+        }
+        
+        this.showLoading('Analyzing audio...');
+        
+        try {
+            const proposed = await window.DownbeatDetector.detect(audioBuffer, this.score, (text, percent) => {
+                this.elements.loadingText.textContent = `${text} ${percent}%`;
+            }, this.barTickMap);
+            
+            this.hideLoading();
+            
+            if (proposed.length === 0) {
+                alert('No downbeats could be detected in this recording.');
+                return;
+            }
+            
+            this.pushHistory('Auto-detect');
+            this.beatMarkers = proposed;
+            // Review from the top: tapping replaces proposals bar by bar
+            this.currentBarToMark = 1;
+            
+            this.updateAllDisplays();
+            this.scrollToBar(1);
+            this.scheduleAutoSave();
+            
+            this.showNotification(`Proposed ${proposed.length} markers. Preview to review, tap T to correct, then Accept.`);
+        } catch (e) {
+            console.error('Auto-detect failed:', e);
+            this.hideLoading();
+            alert('Failed to detect downbeats. Please tap markers manually.');
+        }
+    }
+    
+    /**
+     * Fill the bars between tapped markers (and after the last one, up to the
+     * end of the audio) from the score's tempo map, stretched so the
+     * predicted times land exactly on the tapped anchors.
+     */
+    interpolateMarkers() {
+        if (!this.wavesurfer || !this.score) return;
+        
+        const anchors = this.getTappedAnchors();
+        if (anchors.length < 2) {
+            alert('Tap at least two bars first. Unmarked bars between and after them are filled from the tempo map.');
+            return;
+        }
+        
+        const timeline = window.TabSync.buildScoreTimeline(this.score, this.barTickMap);
+        const duration = this.wavesurfer.getDuration();
+        const tapped = new Set(anchors.map(a => a.position));
+        const filled = [];
+        
+        const fill = (position, time) => {
+            if (tapped.has(position) || time >= duration) return;
+            const slot = this.slotAt(position);
+            filled.push({ bar: slot.bar, pass: slot.pass, time, source: 'interpolated' });
+        };
+        
+        // Between anchors: scale the notated timing to fit each span
+        let scale = 1;
+        for (let i = 0; i < anchors.length - 1; i++) {
+            const from = anchors[i];
+            const to = anchors[i + 1];
+            const scoreFrom = timeline[from.position - 1].start;
+            const scoreSpan = timeline[to.position - 1].start - scoreFrom;
+            if (scoreSpan <= 0) continue;
+            
+            scale = (to.time - from.time) / scoreSpan;
+            for (let position = from.position + 1; position < to.position; position++) {
+                fill(position, from.time + (timeline[position - 1].start - scoreFrom) * scale);
+            }
+        }
+        
+        // After the last anchor: keep the last span's tempo to the end of the audio
+        const last = anchors[anchors.length - 1];
+        const scoreLast = timeline[last.position - 1].start;
+        for (let position = last.position + 1; position <= timeline.length; position++) {
+            fill(position, last.time + (timeline[position - 1].start - scoreLast) * scale);
+        }
+        
+        if (filled.length === 0) {
+            this.showNotification('No unmarked bars to fill.');
+            return;
+        }
+        
+        // Tapped markers stay; anything else in the filled range is replaced
+        this.pushHistory('Interpolate');
+        const firstFilled = anchors[0].position;
+        this.beatMarkers = this.beatMarkers
+            .filter(m => !m.source || this.positionOf(m) < firstFilled)
+            .concat(filled)
+            .sort((a, b) => this.positionOf(a) - this.positionOf(b));
+        this.currentBarToMark = this.getFirstUnmarkedBar();
+        
+        this.updateAllDisplays();
+        this.scheduleAutoSave();
+        
+        this.showNotification(`Filled ${filled.length} bars from the tempo map. Preview to check, then Accept.`);
+    }
+    
+    getTappedAnchors() {
+        return this.beatMarkers
+            .filter(m => !m.source)
+            .map(m => ({ position: this.positionOf(m), time: m.time }))
+            .filter(a => a.position > 0 && a.position <= this.totalBars)
+            .sort((a, b) => a.position - b.position);
+    }
+    
+    acceptProposedMarkers() {
+        if (!this.beatMarkers.some(m => m.source)) return;
+        
+        this.pushHistory('Accept proposals');
+        this.beatMarkers = this.beatMarkers.map(({ bar, pass, time }) => ({ bar, pass, time }));
+        this.currentBarToMark = this.getFirstUnmarkedBar();
+        
+        this.updateAllDisplays();
+        this.scheduleAutoSave();
+    }
+    
+    updateAllDisplays() {
+        this.markersChanged();
+        this.updateCurrentBarDisplay();
+        this.updateMarkersDisplay();
+        this.updateMarkersTimeline();
+        this.updateSyncStats();
+        this.updateButtonStates();
+        this.updateHistoryList();
+    }
+    
+    updateCurrentBarDisplay() {
+        if (this.totalBars === 0) {
+            this.elements.currentBarNumber.textContent = '—';
+            this.elements.barSublabel.textContent = 'Load files to begin';
             return;
         }
         
+        if (this.tapMode === 'beat') {
+            const { position, beat } = this.currentBeatToMark;
+            this.elements.barLabel.textContent = 'Next Beat:';
+            if (position > this.totalBars) {
+                this.elements.currentBarNumber.textContent = '✓';
+                this.elements.currentBarNumber.classList.add('complete');
+                this.elements.barSublabel.textContent = 'All beats marked!';
+            } else {
+                const slot = this.slotAt(position);
+                this.elements.currentBarNumber.textContent = `${slot.bar}.${beat}`;
+                this.elements.currentBarNumber.classList.remove('complete');
+                this.elements.barSublabel.textContent = `beat ${beat} of ${this.getBeatsInBar(position)}` + (slot.pass > 1 ? ` · pass ${slot.pass}` : '');
+            }
+            return;
+        }
+        
+        this.elements.barLabel.textContent = 'Next Bar:';
+        
         if (this.currentBarToMark > this.totalBars) {
             this.elements.currentBarNumber.textContent = '✓';
             this.elements.currentBarNumber.classList.add('complete');
             this.elements.barSublabel.textContent = 'All bars marked!';
         } else {
-            this.elements.currentBarNumber.textContent = this.currentBarToMark;
+            const slot = this.slotAt(this.currentBarToMark);
+            this.elements.currentBarNumber.textContent = slot.bar;
             this.elements.currentBarNumber.classList.remove('complete');
-            this.elements.barSublabel.textContent = `of ${this.totalBars} bars`;
+            // With repeats the bar number differs from the place in the played sequence
+            this.elements.barSublabel.textContent = slot.bar === this.currentBarToMark && slot.pass === 1
+                ? `of ${this.totalBars} bars`
+                : `pass ${slot.pass} · ${this.currentBarToMark} of ${this.totalBars} played`;
         }
     }
     
     updateMarkersDisplay() {
         this.elements.beatMarkersContainer.innerHTML = '';
+        this.markerElements.clear();
         
         if (!this.wavesurfer) return;
         const duration = this.wavesurfer.getDuration();
         if (duration === 0) return;
         
+        // Drop a selection whose marker was replaced or removed
+        if (this.selectedMarker && !this.beatMarkers.includes(this.selectedMarker) && !this.beatAnchors.includes(this.selectedMarker)) {
+            this.selectedMarker = null;
+        }
+        
         this.beatMarkers.forEach((marker) => {
             const percent = (marker.time / duration) * 100;
             const el = document.createElement('div');
-            el.className = 'beat-marker';
+            el.className = 'beat-marker' + (marker.source === 'detected' ? ' proposed' : '') + (marker.source === 'interpolated' ? ' filled' : '');
             el.style.left = `${percent}%`;
-            el.dataset.bar = `Bar ${marker.bar}`;
-            el.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.wavesurfer.seekTo(marker.time / duration);
-            });
+            el.dataset.bar = `Bar ${window.TabSync.formatBar(marker)}`;
+            this.bindMarkerElement(el, marker);
+            this.elements.beatMarkersContainer.appendChild(el);
+        });
+        
+        this.beatAnchors.forEach((marker) => {
+            const el = document.createElement('div');
+            el.className = 'beat-marker beat-level';
+            el.style.left = `${(marker.time / duration) * 100}%`;
+            el.dataset.bar = `${marker.bar}.${marker.beat}` + (marker.pass > 1 ? ` (pass ${marker.pass})` : '');
+            this.bindMarkerElement(el, marker);
             this.elements.beatMarkersContainer.appendChild(el);
         });
     }
     
+    // ===================================
+    // Marker Editing (drag, nudge, delete)
+    // ===================================
+    
+    bindMarkerElement(el, marker) {
+        this.markerElements.set(marker, el);
+        el.classList.toggle('selected', marker === this.selectedMarker);
+        el.title = 'Drag to move · ←/→ nudge 5 ms (Shift: 10 ms) · Del to remove';
+        
+        el.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            e.stopPropagation();
+            
+            this.selectMarker(marker);
+            el.setPointerCapture(e.pointerId);
+            this.markerDrag = {
+                marker,
+                el,
+                startX: e.clientX,
+                startTime: marker.time,
+                moved: false
+            };
+            el.classList.add('dragging');
+        });
+        
+        el.addEventListener('pointermove', (e) => {
+            const drag = this.markerDrag;
+            if (!drag || drag.el !== el) return;
+            
+            // Ignore tiny movements so a click still seeks
+            if (!drag.moved) {
+                if (Math.abs(e.clientX - drag.startX) < 3) return;
+                this.pushHistory(`Move ${this.describeMarker(marker)}`);
+                drag.moved = true;
+            }
+            
+            const rect = this.elements.beatMarkersContainer.getBoundingClientRect();
+            const duration = this.wavesurfer.getDuration();
+            const time = drag.startTime + ((e.clientX - drag.startX) / rect.width) * duration;
+            marker.time = this.clampMarkerTime(marker, time);
+            this.markersChanged();
+            el.style.left = `${(marker.time / duration) * 100}%`;
+            this.elements.waveformCurrentTime.textContent = this.formatTime(marker.time);
+        });
+        
+        const endDrag = () => {
+            const drag = this.markerDrag;
+            if (!drag || drag.el !== el) return;
+            this.markerDrag = null;
+            el.classList.remove('dragging');
+            
+            if (drag.moved) {
+                this.onMarkerEdited(marker);
+            } else {
+                this.wavesurfer.seekTo(marker.time / this.wavesurfer.getDuration());
+            }
+        };
+        el.addEventListener('pointerup', endDrag);
+        el.addEventListener('pointercancel', endDrag);
+    }
+    
+    selectMarker(marker) {
+        if (marker === this.selectedMarker) return;
+        this.selectedMarker = marker;
+        
+        // Toggle classes in place - re-rendering would break a drag in progress
+        this.markerElements.forEach((el, m) => {
+            el.classList.toggle('selected', m === marker);
+        });
+    }
+    
+    isBeatAnchor(marker) {
+        return this.beatAnchors.includes(marker);
+    }
+    
+    /**
+     * Keep a marker between its neighbours in the same layer so bars
+     * (and beats) can never swap order.
+     */
+    clampMarkerTime(marker, time) {
+        const minGap = 0.01;
+        const duration = this.wavesurfer.getDuration();
+        let min = 0;
+        let max = duration;
+        
+        if (this.isBeatAnchor(marker)) {
+            const order = (m) => this.positionOf(m) * 1000 + m.beat;
+            const own = order(marker);
+            this.beatAnchors.forEach((m) => {
+                if (m === marker) return;
+                if (order(m) < own) min = Math.max(min, m.time + minGap);
+                if (order(m) > own) max = Math.min(max, m.time - minGap);
+            });
+        } else {
+            const own = this.positionOf(marker);
+            this.beatMarkers.forEach((m) => {
+                if (m === marker) return;
+                if (this.positionOf(m) < own) min = Math.max(min, m.time + minGap);
+                if (this.positionOf(m) > own) max = Math.min(max, m.time - minGap);
+            });
+        }
+        
+        return Math.max(min, Math.min(max, time));
+    }
+    
+    nudgeSelectedMarker(delta) {
+        const marker = this.selectedMarker;
+        if (!marker || !this.wavesurfer) return;
+        
+        // Consecutive nudges of one marker undo as a single step
+        const label = `Nudge ${this.describeMarker(marker)}`;
+        this.pushHistory(label, label);
+        marker.time = this.clampMarkerTime(marker, marker.time + delta);
+        this.onMarkerEdited(marker);
+    }
+    
+    deleteSelectedMarker() {
+        const marker = this.selectedMarker;
+        if (!marker) return;
+        
+        if (!this.isBeatAnchor(marker)) {
+            this.deleteBarMarker(this.positionOf(marker));
+            return;
+        }
+        
+        this.pushHistory(`Delete ${this.describeMarker(marker)}`);
+        this.beatAnchors = this.beatAnchors.filter(m => m !== marker);
+        this.selectedMarker = null;
+        
+        this.updateAllDisplays();
+        this.scheduleAutoSave();
+    }
+    
+    // ===================================
+    // Editing at Any Bar
+    // ===================================
+    
+    /**
+     * Make a playback position the next one to tap. Taps then overwrite it
+     * and the bars after it.
+     */
+    editFromBar(position) {
+        if (position < 1 || position > this.totalBars) return;
+        
+        this.currentBarToMark = position;
+        if (this.tapMode === 'beat') {
+            this.currentBeatToMark = { position, beat: 1 };
+        }
+        
+        // Jump to the bar's marker, or the last marked bar before it
+        if (this.wavesurfer) {
+            let previous = null;
+            this.beatMarkers.forEach((m) => {
+                const markerPosition = this.positionOf(m);
+                if (markerPosition <= position && (!previous || markerPosition > this.positionOf(previous))) {
+                    previous = m;
+                }
+            });
+            const duration = this.wavesurfer.getDuration();
+            if (previous && duration > 0) {
+                this.wavesurfer.seekTo(previous.time / duration);
+            }
+        }
+        this.scrollToBar(position);
+        
+        this.updateAllDisplays();
+    }
+    
+    /**
+     * Remove a single bar's marker, leaving a gap that playback interpolates over.
+     */
+    deleteBarMarker(position) {
+        const marker = this.markerAt(position);
+        if (!marker) return;
+        
+        this.pushHistory(`Delete ${this.describeMarker(marker)}`);
+        this.beatMarkers = this.beatMarkers.filter(m => m !== marker);
+        this.currentBarToMark = position;
+        if (this.selectedMarker === marker) {
+            this.selectedMarker = null;
+        }
+        
+        this.lastSyncedBar = 0;
+        this.updateAllDisplays();
+        this.scheduleAutoSave();
+    }
+    
+    getFirstUnmarkedBar() {
+        const marked = new Set(this.beatMarkers.map(m => this.positionOf(m)));
+        let position = 1;
+        while (marked.has(position)) {
+            position++;
+        }
+        return position;
+    }
+    
+    describeMarker(marker) {
+        if (this.isBeatAnchor(marker)) {
+            return `beat ${marker.bar}.${marker.beat}` + (marker.pass > 1 ? ` (pass ${marker.pass})` : '');
+        }
+        return `bar ${window.TabSync.formatBar(marker)}`;
+    }
+    
+    /**
+     * Move every bar and beat marker by the same amount, e.g. when the
+     * whole sync is consistently early or late.
+     */
+    shiftAllMarkers(delta) {
+        if (!this.wavesurfer || (this.beatMarkers.length === 0 && this.beatAnchors.length === 0)) return;
+        
+        const duration = this.wavesurfer.getDuration();
+        const all = this.beatMarkers.concat(this.beatAnchors);
+        // Keep everything inside the recording
+        const earliest = Math.min(...all.map(m => m.time));
+        const latest = Math.max(...all.map(m => m.time));
+        const amount = Math.max(-earliest, Math.min(duration - latest, delta));
+        if (amount === 0) return;
+        
+        this.pushHistory('Shift all markers', 'shift');
+        all.forEach((m) => {
+            m.time += amount;
+        });
+        
+        this.lastSyncedBar = 0;
+        this.updateAllDisplays();
+        this.scheduleAutoSave();
+        this.showNotification(`Shifted all markers ${amount > 0 ? '+' : ''}${Math.round(amount * 1000)} ms`);
+    }
+    
+    // ===================================
+    // Undo/Redo History
+    // ===================================
+    
+    captureState() {
+        return {
+            markers: this.beatMarkers.map(m => ({ ...m })),
+            beats: this.beatAnchors.map(m => ({ ...m })),
+            currentBarToMark: this.currentBarToMark,
+            currentBeatToMark: { ...this.currentBeatToMark }
+        };
+    }
+    
+    restoreState(state) {
+        this.beatMarkers = state.markers.map(m => ({ ...m }));
+        this.beatAnchors = state.beats.map(m => ({ ...m }));
+        this.currentBarToMark = state.currentBarToMark;
+        this.currentBeatToMark = { ...state.currentBeatToMark };
+        this.selectedMarker = null;
+        this.markerDrag = null;
+        this.lastSyncedBar = 0;
+    }
+    
+    /**
+     * Record the current state before a change. Changes sharing a `key`
+     * within a couple of seconds collapse into one step.
+     */
+    pushHistory(label, key = null) {
+        const undo = this.history.undo;
+        const top = undo[undo.length - 1];
+        const now = Date.now();
+        
+        if (key && top && top.key === key && now - top.time < 2000 && this.history.redo.length === 0) {
+            top.time = now;
+            return;
+        }
+        
+        undo.push({ label, key, time: now, state: this.captureState() });
+        if (undo.length > this.historyLimit) {
+            undo.shift();
+        }
+        this.history.redo = [];
+    }
+    
+    undo() {
+        const entry = this.history.undo.pop();
+        if (!entry) return;
+        
+        this.history.redo.push({ label: entry.label, key: null, time: Date.now(), state: this.captureState() });
+        this.restoreState(entry.state);
+        this.onHistoryChanged(`Undo: ${entry.label}`);
+    }
+    
+    redo() {
+        const entry = this.history.redo.pop();
+        if (!entry) return;
+        
+        this.history.undo.push({ label: entry.label, key: null, time: Date.now(), state: this.captureState() });
+        this.restoreState(entry.state);
+        this.onHistoryChanged(`Redo: ${entry.label}`);
+    }
+    
+    /**
+     * Step through the history until `undoLength` changes are applied.
+     */
+    goToHistory(undoLength) {
+        while (this.history.undo.length > undoLength) {
+            const entry = this.history.undo.pop();
+            this.history.redo.push({ label: entry.label, key: null, time: Date.now(), state: this.captureState() });
+            this.restoreState(entry.state);
+        }
+        while (this.history.undo.length < undoLength && this.history.redo.length > 0) {
+            const entry = this.history.redo.pop();
+            this.history.undo.push({ label: entry.label, key: null, time: Date.now(), state: this.captureState() });
+            this.restoreState(entry.state);
+        }
+        this.onHistoryChanged();
+    }
+    
+    onHistoryChanged(message) {
+        this.updateAllDisplays();
+        if (this.wavesurfer) {
+            this.highlightCurrentBar(this.wavesurfer.getCurrentTime());
+        }
+        this.scheduleAutoSave();
+        if (message) {
+            this.showNotification(message);
+        }
+    }
+    
+    updateHistoryList() {
+        const list = this.elements.historyList;
+        if (!list) return;
+        
+        const { undo, redo } = this.history;
+        list.innerHTML = '';
+        
+        if (undo.length === 0 && redo.length === 0) {
+            list.innerHTML = '<li class="history-empty">No changes yet</li>';
+            return;
+        }
+        
+        const addItem = (label, undoLength, className) => {
+            const li = document.createElement('li');
+            li.className = 'history-item' + (className ? ` ${className}` : '');
+            li.textContent = label;
+            li.addEventListener('click', () => this.goToHistory(undoLength));
+            list.appendChild(li);
+        };
+        
+        // Newest first: undone steps (redoable), then applied steps, then the start
+        redo.forEach((entry, i) => addItem(entry.label, undo.length + redo.length - i, 'undone'));
+        for (let i = undo.length - 1; i >= 0; i--) {
+            addItem(undo[i].label, i + 1, i === undo.length - 1 ? 'current' : '');
+        }
+        addItem('Start', 0, undo.length === 0 ? 'current' : '');
+    }
+    
+    onMarkerEdited(marker) {
+        // A hand-placed proposal counts as confirmed
+        delete marker.source;
+        
+        this.lastSyncedBar = 0;
+        this.updateAllDisplays();
+        this.highlightCurrentBar(this.wavesurfer.getCurrentTime());
+        this.scheduleAutoSave();
+    }
+    
     updateMarkersTimeline() {
         if (this.totalBars === 0) {
             this.elements.markersTimeline.innerHTML = '<div class="timeline-empty">Load files to see bar timeline</div>';
@@ -988,24 +2352,29 @@ class SyncEditor {
         const container = document.createElement('div');
         container.className = 'timeline-markers';
         
+        // One entry per played bar, so repeated bars appear once per pass
         for (let i = 1; i <= this.totalBars; i++) {
-            const marker = this.beatMarkers.find(m => m.bar === i);
+            const slot = this.slotAt(i);
+            const marker = this.markerAt(i);
             const el = document.createElement('div');
-            el.className = 'timeline-marker' + (marker ? ' set' : '');
+            const hasBeats = this.beatAnchors.some(m => this.positionOf(m) === i);
+            const isNext = this.tapMode === 'bar' && i === this.currentBarToMark;
+            el.className = 'timeline-marker' + (marker ? ' set' : '') + (marker?.source === 'detected' ? ' proposed' : '') + (marker?.source === 'interpolated' ? ' filled' : '') + (hasBeats ? ' has-beats' : '') + (isNext ? ' next' : '');
             el.dataset.bar = i;
             el.innerHTML = `
-                <span class="marker-bar">${i}</span>
+                <span class="marker-bar">${slot.bar}${slot.pass > 1 ? `<sup>${slot.pass}</sup>` : ''}</span>
                 <span class="marker-time">${marker ? this.formatTimeShort(marker.time) : '—'}</span>
+                ${marker ? '<button class="marker-delete" title="Remove this marker">×</button>' : ''}
             `;
             
+            // Any bar can be picked to re-tap from
+            el.title = `Tap from bar ${window.TabSync.formatBar(slot)}`;
+            el.addEventListener('click', () => this.editFromBar(i));
+            
             if (marker) {
-                el.addEventListener('click', () => {
-                    if (this.wavesurfer) {
-                        const duration = this.wavesurfer.getDuration();
-                        this.wavesurfer.seekTo(marker.time / duration);
-                        // Also scroll notation to this bar
-                        this.scrollToBar(marker.bar);
-                    }
+                el.querySelector('.marker-delete').addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.deleteBarMarker(i);
                 });
             }
             
@@ -1026,14 +2395,22 @@ class SyncEditor {
     }
     
     updateButtonStates() {
-        const hasMarkers = this.beatMarkers.length > 0;
-        const canTap = this.score && this.wavesurfer && this.wavesurfer.getDuration() > 0 && this.currentBarToMark <= this.totalBars;
+        const hasMarkers = this.beatMarkers.length > 0 || this.beatAnchors.length > 0;
+        const canTap = this.score && this.wavesurfer && this.wavesurfer.getDuration() > 0 && this.canTapMore();
         const canPreview = hasMarkers && this.score && this.wavesurfer && this.wavesurfer.getDuration() > 0;
         const canSave = hasMarkers && this.score && this.wavesurfer && this.wavesurfer.getDuration() > 0;
         const canShare = hasMarkers && this.score && this.wavesurfer && this.wavesurfer.getDuration() > 0;
         
-        this.elements.undoBtn.disabled = !hasMarkers;
+        const hasProposals = this.beatMarkers.some(m => m.source);
+        const canDetect = this.score && this.wavesurfer && this.wavesurfer.getDuration() > 0;
+        const canInterpolate = canDetect && this.beatMarkers.filter(m => !m.source).length >= 2;
+        
+        this.elements.undoBtn.disabled = this.history.undo.length === 0;
+        this.elements.redoBtn.disabled = this.history.redo.length === 0;
         this.elements.clearAllBtn.disabled = !hasMarkers;
+        this.elements.autoDetectBtn.disabled = !canDetect;
+        this.elements.interpolateBtn.disabled = !canInterpolate;
+        this.elements.acceptProposalsBtn.style.display = hasProposals ? '' : 'none';
         this.elements.shareBtn.disabled = !canShare;
         this.elements.tapBtn.disabled = !canTap;
         this.elements.previewModeBtn.disabled = !canPreview;
@@ -1043,6 +2420,9 @@ class SyncEditor {
         if (mode === this.currentMode) return;
         
         this.currentMode = mode;
+        if (this.countInTimer) {
+            this.cancelCountIn();
+        }
         
         // Update mode toggle buttons
         this.elements.editModeBtn.classList.toggle('active', mode === 'edit');
@@ -1052,6 +2432,9 @@ class SyncEditor {
         this.elements.editorContainer.classList.toggle('preview-mode', mode === 'preview');
         
         if (mode === 'preview') {
+            // The preview waveform is a compact strip without view controls
+            this.toggleSpectrogram(false);
+            
             // Stop any playing audio when entering preview
             if (this.wavesurfer && this.isPlaying) {
                 this.wavesurfer.pause();
@@ -1073,32 +2456,43 @@ class SyncEditor {
     updateTapButtonState() {
         const hasGP = this.score !== null;
         const hasAudio = this.wavesurfer && this.wavesurfer.getDuration() > 0;
-        const notComplete = this.currentBarToMark <= this.totalBars;
+        const notComplete = this.canTapMore();
         
         this.elements.tapBtn.disabled = !(hasGP && hasAudio && notComplete);
     }
     
-    highlightCurrentBar(currentTime) {
-        // Find which bar we're in based on markers
-        let currentBar = 0;
-        let currentBarTime = 0;
-        let nextBarTime = null;
-        
-        for (let i = 0; i < this.beatMarkers.length; i++) {
-            if (currentTime >= this.beatMarkers[i].time) {
-                currentBar = this.beatMarkers[i].bar;
-                currentBarTime = this.beatMarkers[i].time;
-                nextBarTime = this.beatMarkers[i + 1]?.time || null;
-            } else {
-                break;
-            }
+    /**
+     * The markers normalized for TabSync, kept between frames so its
+     * anchor cache can hit. Rebuilt after markersChanged() or when the
+     * marker arrays are replaced (undo, loading a project).
+     */
+    getSyncData() {
+        const view = this.syncView;
+        if (!view || view.markers !== this.beatMarkers || view.beats !== this.beatAnchors) {
+            this.syncView = {
+                markers: this.beatMarkers,
+                beats: this.beatAnchors,
+                data: window.TabSync.normalize({ markers: this.beatMarkers, beats: this.beatAnchors })
+            };
         }
+        return this.syncView.data;
+    }
+    
+    // Call after editing markers in place
+    markersChanged() {
+        this.syncView = null;
+    }
+    
+    highlightCurrentBar(currentTime) {
+        // Find which played bar we're in based on markers
+        const syncData = this.getSyncData();
+        const currentBar = window.TabSync.positionAtTime(syncData, currentTime, this.barTickMap);
         
-        // Highlight in timeline
+        // Highlight in timeline (entries are keyed by playback position)
         const timelineMarkers = this.elements.markersTimeline.querySelectorAll('.timeline-marker');
         timelineMarkers.forEach((el) => {
-            const bar = parseInt(el.dataset.bar);
-            el.classList.toggle('current', bar === currentBar);
+            const position = parseInt(el.dataset.bar);
+            el.classList.toggle('current', position === currentBar);
         });
         
         // Sync notation - scroll to current bar and interpolate position within bar
@@ -1107,34 +2501,30 @@ class SyncEditor {
             this.scrollToBar(currentBar);
         }
         
-        // Interpolate tick position within the bar for smoother cursor movement
-        if (currentBar > 0 && this.barTickMap && this.barTickMap[currentBar]) {
-            const barTicks = this.barTickMap[currentBar];
-            
-            // Calculate progress within bar
-            let progress = 0;
-            if (nextBarTime && nextBarTime > currentBarTime) {
-                const barDuration = nextBarTime - currentBarTime;
-                const timeInBar = currentTime - currentBarTime;
-                progress = Math.min(1, Math.max(0, timeInBar / barDuration));
-            }
-            
-            // Interpolate tick position
-            const tick = Math.floor(barTicks.start + (barTicks.end - barTicks.start) * progress);
+        // Same tempo-following interpolation as the players
+        if (currentBar > 0 && this.alphaTab) {
+            const duration = this.wavesurfer.getDuration();
+            const position = window.TabSync.timeToTick(syncData, this.barTickMap, currentTime, duration);
+            if (!position || position.beforeFirst || position.tick === this.lastTick) return;
             
-            // Only update every few ticks to reduce jitter
-            if (!this.lastTick || Math.abs(tick - this.lastTick) > 100) {
-                this.lastTick = tick;
-                try {
-                    this.alphaTab.tickPosition = tick;
-                } catch (e) {}
-            }
+            this.lastTick = position.tick;
+            try {
+                this.alphaTab.tickPosition = position.tick;
+            } catch (e) {}
         }
     }
     
     // Playback controls
     togglePlayPause() {
         if (!this.wavesurfer) return;
+        if (this.countInTimer) {
+            this.cancelCountIn();
+            return;
+        }
+        if (!this.isPlaying && this.currentMode === 'preview' && this.clickEnabled && this.countIn && this.clickTrack) {
+            this.playWithCountIn();
+            return;
+        }
         this.wavesurfer.playPause();
     }
     
@@ -1182,6 +2572,212 @@ class SyncEditor {
         this.updateTapButtonState();
     }
     
+    // ===================================
+    // Tap Latency Calibration
+    // ===================================
+    
+    loadTapLatency() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('tabplayer-tap-latency'));
+            return stored && typeof stored.latency === 'number' ? stored.latency : 0;
+        } catch (e) {
+            return 0;
+        }
+    }
+    
+    updateLatencyButton() {
+        this.elements.latencyBtn.textContent = `Latency: ${Math.round(this.tapLatency * 1000)} ms`;
+    }
+    
+    showCalibrationModal() {
+        if (this.wavesurfer && this.isPlaying) {
+            this.wavesurfer.pause();
+        }
+        
+        this.calibration = null;
+        this.elements.saveCalibrationBtn.disabled = true;
+        this.elements.calibrationPad.disabled = true;
+        this.elements.calibrationStatus.textContent = this.tapLatency > 0
+            ? `Current latency on this device: ${Math.round(this.tapLatency * 1000)} ms`
+            : 'Not calibrated on this device';
+        this.elements.calibrationModal.classList.add('visible');
+    }
+    
+    hideCalibrationModal() {
+        if (this.calibrationWavesurfer) {
+            this.calibrationWavesurfer.stop();
+        }
+        this.calibration = null;
+        this.elements.calibrationModal.classList.remove('visible');
+    }
+    
+    /**
+     * Play a click track through its own WaveSurfer (same backend as the
+     * editor) and time taps with getCurrentTime(), exactly like real taps.
+     */
+    async startCalibration() {
+        const { blob, clickTimes, interval } = this.generateClickTrack();
+        
+        if (!this.calibrationWavesurfer) {
+            this.calibrationWavesurfer = WaveSurfer.create({
+                container: this.elements.calibrationWaveform,
+                waveColor: '#3d4450',
+                progressColor: '#00d4aa',
+                cursorColor: '#ff6b6b',
+                height: 60,
+                interact: false,
+                backend: 'WebAudio'
+            });
+            this.calibrationWavesurfer.on('finish', () => this.finishCalibration());
+        }
+        
+        this.calibration = { active: false, clickTimes, interval, offsets: [] };
+        this.elements.saveCalibrationBtn.disabled = true;
+        this.elements.startCalibrationBtn.disabled = true;
+        this.elements.calibrationStatus.textContent = 'Get ready...';
+        
+        try {
+            await this.calibrationWavesurfer.loadBlob(blob);
+            this.calibration.active = true;
+            this.elements.calibrationPad.disabled = false;
+            this.elements.calibrationStatus.textContent = 'Tap T on every click after the count-in';
+            this.calibrationWavesurfer.play();
+        } catch (e) {
+            console.error('Failed to play calibration clicks:', e);
+            this.elements.startCalibrationBtn.disabled = false;
+            this.elements.calibrationStatus.textContent = 'Could not play the click track';
+        }
+    }
+    
+    recordCalibrationTap() {
+        const calibration = this.calibration;
+        if (!calibration || !calibration.active) return;
+        
+        const time = this.calibrationWavesurfer.getCurrentTime();
+        const nearest = calibration.clickTimes.reduce((best, click) =>
+            Math.abs(click - time) < Math.abs(best - time) ? click : best
+        );
+        
+        // Taps more than half a beat away belong to no click
+        if (Math.abs(time - nearest) < calibration.interval / 2) {
+            calibration.offsets.push(time - nearest);
+            this.elements.calibrationStatus.textContent = `${calibration.offsets.length} taps`;
+        }
+        
+        this.elements.calibrationPad.classList.add('tapped');
+        setTimeout(() => this.elements.calibrationPad.classList.remove('tapped'), 100);
+    }
+    
+    finishCalibration() {
+        const calibration = this.calibration;
+        if (!calibration || !calibration.active) return;
+        
+        calibration.active = false;
+        this.elements.calibrationPad.disabled = true;
+        this.elements.startCalibrationBtn.disabled = false;
+        this.elements.startCalibrationBtn.textContent = 'Try Again';
+        
+        const offsets = [...calibration.offsets].sort((a, b) => a - b);
+        if (offsets.length < 8) {
+            this.elements.calibrationStatus.textContent = `Only ${offsets.length} taps counted - please try again`;
+            return;
+        }
+        
+        // Average the taps close to the median so a stray tap can't skew the result
+        const median = offsets[Math.floor(offsets.length / 2)];
+        const kept = offsets.filter(o => Math.abs(o - median) <= 0.06);
+        const mean = kept.reduce((sum, o) => sum + o, 0) / kept.length;
+        const spread = Math.sqrt(kept.reduce((sum, o) => sum + (o - mean) * (o - mean), 0) / kept.length);
+        
+        calibration.result = Math.max(0, mean);
+        calibration.taps = kept.length;
+        this.elements.calibrationStatus.textContent =
+            `Average latency: ${Math.round(calibration.result * 1000)} ms (±${Math.round(spread * 1000)} ms over ${kept.length} taps)`;
+        this.elements.saveCalibrationBtn.disabled = false;
+    }
+    
+    saveCalibration() {
+        if (!this.calibration || this.calibration.result === undefined) return;
+        
+        this.tapLatency = this.calibration.result;
+        try {
+            localStorage.setItem('tabplayer-tap-latency', JSON.stringify({
+                latency: this.tapLatency,
+                taps: this.calibration.taps,
+                measuredAt: new Date().toISOString()
+            }));
+        } catch (e) {
+            console.error('Failed to store tap latency:', e);
+        }
+        
+        this.updateLatencyButton();
+        this.hideCalibrationModal();
+        this.showNotification(`Taps will be corrected by ${Math.round(this.tapLatency * 1000)} ms`);
+    }
+    
+    resetCalibration() {
+        this.tapLatency = 0;
+        localStorage.removeItem('tabplayer-tap-latency');
+        this.updateLatencyButton();
+        this.elements.calibrationStatus.textContent = 'Not calibrated on this device';
+    }
+    
+    /**
+     * Render a 100 BPM click track (4 count-in clicks, then 16 to tap on)
+     * as a WAV blob. Returns the times of the clicks to tap on.
+     */
+    generateClickTrack() {
+        const sampleRate = 44100;
+        const interval = 0.6;
+        const leadIn = 0.5;
+        const countIn = 4;
+        const clicks = 16;
+        const length = Math.ceil((leadIn + (countIn + clicks) * interval + 0.5) * sampleRate);
+        const samples = new Float32Array(length);
+        const clickTimes = [];
+        
+        for (let i = 0; i < countIn + clicks; i++) {
+            const time = leadIn + i * interval;
+            // Count-in clicks are higher so the first tap is easy to find
+            const frequency = i < countIn ? 1600 : 1000;
+            const start = Math.round(time * sampleRate);
+            for (let n = 0; n < 0.03 * sampleRate; n++) {
+                samples[start + n] = Math.sin(2 * Math.PI * frequency * n / sampleRate) * Math.exp(-n / (0.005 * sampleRate)) * 0.8;
+            }
+            if (i >= countIn) clickTimes.push(time);
+        }
+        
+        return { blob: this.encodeWav(samples, sampleRate), clickTimes, interval };
+    }
+    
+    encodeWav(samples, sampleRate) {
+        const buffer = new ArrayBuffer(44 + samples.length * 2);
+        const view = new DataView(buffer);
+        const writeString = (offset, str) => {
+            for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+        };
+        
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + samples.length * 2, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, 1, true); // mono
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * 2, true);
+        view.setUint16(32, 2, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, samples.length * 2, true);
+        
+        for (let i = 0; i < samples.length; i++) {
+            const s = Math.max(-1, Math.min(1, samples[i]));
+            view.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+        }
+        return new Blob([buffer], { type: 'audio/wav' });
+    }
+    
     // Share functionality
     async showShareModal() {
         // Pre-fill title/artist from score if available
@@ -1198,7 +2794,7 @@ class SyncEditor {
         this.elements.summaryBars.textContent = `${this.beatMarkers.length}/${this.totalBars} bars`;
         
         // Ensure project is saved to get project ID for embed codes
-        if (!this.projectId && this.gpFileDataBase64 && this.audioFileData) {
+        if (!this.projectId && this.gpFile && this.audioFile) {
             this.showLoading('Saving project...');
             await this.autoSave();
             this.hideLoading();
@@ -1261,8 +2857,6 @@ class SyncEditor {
             
             if (this.audioFile) {
                 audioBase64 = await this.fileToBase64(this.audioFile);
-            } else if (this.audioFileData) {
-                audioBase64 = this.audioFileData;
             }
             
             if (!gpBase64 || !audioBase64) {
@@ -1274,7 +2868,9 @@ class SyncEditor {
                 title: this.elements.exportTitle.value || this.score?.title || 'Untitled',
                 artist: this.elements.exportArtist.value || this.score?.artist || 'Unknown Artist',
                 markers: this.beatMarkers,
-                totalBars: this.totalBars
+                beats: this.beatAnchors,
+                totalBars: this.totalBars,
+                mediaType: this.mediaType
             };
             
             // Generate the standalone HTML
@@ -1303,7 +2899,28 @@ class SyncEditor {
         }
     }
     
+    /**
+     * Source of a shared helper object (window.TabSync, ...) rebuilt from
+     * the loaded one, so the standalone player runs the same code as the
+     * players without fetching anything. `state` overrides fields that
+     * must start fresh on the listener's device.
+     */
+    inlineModule(name, state = {}) {
+        const entries = Object.entries(window[name]).map(([key, value]) => {
+            if (key in state) return `${key}: ${JSON.stringify(state[key])}`;
+            if (typeof value === 'function') {
+                const source = value.toString();
+                // Methods print with their name, other functions need one
+                return new RegExp(`^(async\\s+)?${key}\\s*\\(`).test(source) ? source : `${key}: ${source}`;
+            }
+            if (value instanceof WeakMap) return `${key}: new WeakMap()`;
+            return `${key}: ${JSON.stringify(value)}`;
+        });
+        return `window.${name} = {\n${entries.join(',\n')}\n};`.replace(/<\/script/gi, '<\\/script');
+    }
+    
     buildStandalonePlayerHTML(syncData, gpBase64, audioBase64) {
+        const mediaMime = window.TabLibrary.mimeTypeOf(this.audioFileName);
         return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -1326,7 +2943,13 @@ class SyncEditor {
         .progress-container { padding: 8px 16px; background: #161b22; }
         .progress-bar { height: 4px; background: #30363d; border-radius: 2px; cursor: pointer; }
         .progress-fill { height: 100%; background: #00d4aa; border-radius: 2px; width: 0%; transition: width 0.1s; }
-        .notation-container { flex: 1; overflow: auto; background: #0d1117; }
+        .main { flex: 1; display: flex; min-height: 0; }
+        .notation-container { flex: 1; min-width: 0; overflow: auto; background: #0d1117; }
+        .video-pane { display: none; width: 40%; min-width: 200px; max-width: 70%; resize: horizontal; overflow: hidden; direction: rtl; background: #000; border-left: 1px solid #30363d; align-items: center; }
+        .video-pane.visible { display: flex; }
+        .video-pane video { width: 100%; max-height: 100%; direction: ltr; }
+        .pip-btn { background: none; border: 1px solid #30363d; border-radius: 6px; color: #8b949e; padding: 6px 10px; cursor: pointer; font-size: 0.8rem; }
+        .pip-btn:hover { color: #e6edf3; }
         .at-cursor-bar { background: rgba(0, 212, 170, 0.15) !important; }
         .at-highlight * { fill: #00d4aa !important; }
     </style>
@@ -1339,6 +2962,7 @@ class SyncEditor {
                 <p>${this.escapeHtml(syncData.artist)}</p>
             </div>
             <div class="controls">
+                <button class="pip-btn" id="pipBtn" style="display: none;" title="Picture-in-Picture">PiP</button>
                 <button class="play-btn" id="playBtn">
                     <svg class="play-icon" viewBox="0 0 24 24"><polygon points="5,3 19,12 5,21"/></svg>
                     <svg class="pause-icon" viewBox="0 0 24 24"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>
@@ -1350,14 +2974,23 @@ class SyncEditor {
                 <div class="progress-fill" id="progressFill"></div>
             </div>
         </div>
-        <div class="notation-container" id="notation"></div>
+        <div class="main">
+            <div class="notation-container" id="notation"></div>
+            <div class="video-pane" id="videoPane"></div>
+        </div>
     </div>
     <script>
-        const syncData = ${JSON.stringify(syncData)};
+        ${this.inlineModule('TabSync')}
+        ${this.inlineModule('OutputLatency', { adjustment: null })}
+    <\/script>
+    <script>
+        const syncData = TabSync.normalize(${JSON.stringify(syncData)});
         const gpData = "${gpBase64}";
         const audioData = "${audioBase64}";
+        const mediaMime = "${mediaMime}";
         
-        let api, audioCtx, audioBuffer, source, gainNode;
+        // Videos play from a <video> element (its clock drives the cursor)
+        let api, audioCtx, audioBuffer, source, gainNode, video;
         let isPlaying = false, startedAt = 0, pausedAt = 0, duration = 0;
         let barTickMap = [];
         
@@ -1378,20 +3011,37 @@ class SyncEditor {
             });
             
             api.renderFinished.on(() => {
-                if (api.tickCache && api.tickCache.masterBars) {
-                    barTickMap = api.tickCache.masterBars.map(b => ({ start: b.start, end: b.end }));
-                }
+                // Playback order with repeats unrolled, with the tempo curve
+                barTickMap = TabSync.buildBarTickMap(api);
             });
             
             api.playerReady.on(() => { api.masterVolume = 0; api.metronomeVolume = 0; });
             api.load(new Uint8Array(base64ToArrayBuffer(gpData)));
             
-            // Init audio
-            audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-            gainNode = audioCtx.createGain();
-            gainNode.connect(audioCtx.destination);
-            audioBuffer = await audioCtx.decodeAudioData(base64ToArrayBuffer(audioData));
-            duration = audioBuffer.duration;
+            if (syncData.mediaType === 'video') {
+                // Init video
+                video = document.createElement('video');
+                video.playsInline = true;
+                video.src = URL.createObjectURL(new Blob([base64ToArrayBuffer(audioData)], { type: mediaMime }));
+                await new Promise((resolve) => video.addEventListener('loadedmetadata', resolve, { once: true }));
+                duration = video.duration;
+                if (video.videoWidth) {
+                    document.getElementById('videoPane').appendChild(video);
+                    document.getElementById('videoPane').classList.add('visible');
+                    if (document.pictureInPictureEnabled) {
+                        const pipBtn = document.getElementById('pipBtn');
+                        pipBtn.style.display = '';
+                        pipBtn.onclick = () => document.pictureInPictureElement ? document.exitPictureInPicture() : video.requestPictureInPicture();
+                    }
+                }
+            } else {
+                // Init audio
+                audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+                gainNode = audioCtx.createGain();
+                gainNode.connect(audioCtx.destination);
+                audioBuffer = await audioCtx.decodeAudioData(base64ToArrayBuffer(audioData));
+                duration = audioBuffer.duration;
+            }
             
             // Events
             document.getElementById('playBtn').onclick = togglePlay;
@@ -1406,49 +3056,60 @@ class SyncEditor {
         }
         
         function play() {
+            isPlaying = true;
+            document.getElementById('playBtn').classList.add('playing');
+            if (video) {
+                video.currentTime = pausedAt;
+                video.play();
+                update();
+                return;
+            }
             if (audioCtx.state === 'suspended') audioCtx.resume();
             source = audioCtx.createBufferSource();
             source.buffer = audioBuffer;
             source.connect(gainNode);
             source.start(0, pausedAt);
             startedAt = audioCtx.currentTime - pausedAt;
-            isPlaying = true;
-            document.getElementById('playBtn').classList.add('playing');
             update();
         }
         
         function pause() {
-            if (source) source.stop();
-            pausedAt = audioCtx.currentTime - startedAt;
+            if (video) {
+                video.pause();
+                pausedAt = video.currentTime;
+            } else {
+                if (source) source.stop();
+                pausedAt = audioCtx.currentTime - startedAt;
+            }
             isPlaying = false;
             document.getElementById('playBtn').classList.remove('playing');
         }
         
         function seekTo(time) {
             const wasPlaying = isPlaying;
-            if (isPlaying) { source.stop(); isPlaying = false; }
+            if (isPlaying) { if (video) video.pause(); else source.stop(); isPlaying = false; }
             pausedAt = time;
+            if (video) video.currentTime = time;
             if (wasPlaying) play();
             updateCursor(time);
         }
         
         function update() {
             if (!isPlaying) return;
-            const currentTime = audioCtx.currentTime - startedAt;
-            if (currentTime >= duration) { pause(); pausedAt = 0; return; }
+            const currentTime = video ? video.currentTime : audioCtx.currentTime - startedAt;
+            if (currentTime >= duration || (video && video.ended)) { pause(); pausedAt = 0; return; }
             document.getElementById('progressFill').style.width = (currentTime / duration * 100) + '%';
-            updateCursor(currentTime);
+            // The cursor follows what is heard (audioCtx is unset for videos)
+            updateCursor(Math.max(0, currentTime - OutputLatency.get(audioCtx)));
             requestAnimationFrame(update);
         }
         
+        // Same time-to-tick mapping as the players (bar and beat markers, tempo curve)
         function updateCursor(time) {
-            let bar = 0;
-            for (let i = 0; i < syncData.markers.length; i++) {
-                if (time >= syncData.markers[i].time) bar = syncData.markers[i].bar;
-            }
-            if (bar > 0 && barTickMap[bar - 1]) {
-                try { api.tickPosition = barTickMap[bar - 1].start; } catch(e) {}
-            }
+            if (barTickMap.length < 2) return;
+            const position = TabSync.timeToTick(syncData, barTickMap, time, duration);
+            if (!position || position.beforeFirst) return;
+            try { api.tickPosition = position.tick; } catch(e) {}
         }
         
         init();
@@ -1457,6 +3118,51 @@ class SyncEditor {
 </html>`;
     }
     
+    // The project as one .tabpack: sync data, tab, recording and any extras
+    async exportTabPack() {
+        const gp = this.gpFile || (this.gpFileData && new File([this.gpFileData], this.gpFileName || 'song.gp'));
+        const media = this.audioFile;
+        if (!gp || !media) {
+            alert('Please load both GP and audio files first.');
+            return;
+        }
+        
+        this.showLoading('Packing project...');
+        try {
+            const title = this.elements.exportTitle.value || this.score?.title || 'Untitled';
+            const blob = await window.TabPack.create({
+                syncData: {
+                    title,
+                    artist: this.elements.exportArtist.value || this.score?.artist || 'Unknown Artist',
+                    mediaType: this.mediaType,
+                    totalBars: this.totalBars,
+                    markers: this.beatMarkers,
+                    beats: this.beatAnchors,
+                    tapLatency: this.appliedTapLatency ?? undefined,
+                    exportedAt: new Date().toISOString()
+                },
+                gp,
+                media,
+                cover: this.coverFile,
+                notes: this.notes
+            });
+            
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = window.TabPack.fileName(title);
+            a.click();
+            URL.revokeObjectURL(url);
+            
+            this.hideLoading();
+            this.showNotification('Project bundle downloaded! Open it in the Synced Player or import it into a library.');
+        } catch (e) {
+            console.error('Failed to export .tabpack:', e);
+            this.hideLoading();
+            alert('Failed to export the project bundle. Please try again.');
+        }
+    }
+    
     escapeHtml(str) {
         if (!str) return '';
         return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
@@ -1525,65 +3231,55 @@ class SyncEditor {
         this.isSaving = true;
         
         console.log('Auto-save starting, current state:', {
-            gpFileDataBase64: !!this.gpFileDataBase64,
-            gpFileDataBase64Length: this.gpFileDataBase64?.length,
-            audioFileData: !!this.audioFileData,
-            audioFileDataLength: this.audioFileData?.length,
+            gpFileSize: this.gpFile?.size,
+            audioFileSize: this.audioFile?.size,
+            mediaChanged: this.mediaChanged,
             gpFileName: this.gpFileName,
             audioFileName: this.audioFileName,
             projectId: this.projectId
         });
         
+        // Need both files for auto-save
+        if (!this.gpFile || !this.audioFile) {
+            console.log('Auto-save skipped: missing files', { gpFile: !!this.gpFile, audioFile: !!this.audioFile });
+            this.isSaving = false;
+            return;
+        }
+        
+        // Files loaded during the save are written by the next one
+        const mediaChanged = this.mediaChanged;
+        this.mediaChanged = false;
+        
         try {
-            // Use stored base64 data, or convert if needed
-            let gpBase64 = this.gpFileDataBase64;
-            let audioBase64 = this.audioFileData;
-            
-            // Convert GP file if base64 not available
-            if (!gpBase64 && this.gpFile) {
-                gpBase64 = await this.fileToBase64(this.gpFile);
-                this.gpFileDataBase64 = gpBase64;
-            } else if (!gpBase64 && this.gpFileData) {
-                // Convert Uint8Array to base64 using chunked method
-                gpBase64 = this.arrayBufferToBase64(this.gpFileData.buffer);
-                this.gpFileDataBase64 = gpBase64;
-            }
-            
-            // Convert audio file if base64 not available
-            if (!audioBase64 && this.audioFile) {
-                audioBase64 = await this.fileToBase64(this.audioFile);
-                this.audioFileData = audioBase64;
-            }
-            
-            // Need both files for auto-save
-            if (!gpBase64 || !audioBase64) {
-                console.log('Auto-save skipped: missing file data', { gpBase64: !!gpBase64, audioBase64: !!audioBase64 });
-                this.isSaving = false;
-                return;
-            }
-            
             const projectData = {
                 id: this.projectId,
                 title: this.elements.exportTitle.value || this.score.title || 'Untitled',
                 artist: this.elements.exportArtist.value || this.score.artist || 'Unknown Artist',
                 gpFileName: this.gpFileName || 'unknown.gp',
                 audioFileName: this.audioFileName || 'unknown.mp3',
-                gpFileData: gpBase64,
-                audioFileData: audioBase64,
+                mediaType: this.mediaType,
+                coverFileName: this.coverFileName,
+                notes: this.notes,
                 markers: this.beatMarkers,
+                beats: this.beatAnchors,
+                history: this.history,
+                tapLatency: this.appliedTapLatency,
                 totalBars: this.totalBars,
                 audioDuration: this.wavesurfer.getDuration()
             };
+            // Unchanged files stay as they are in the library
+            if (mediaChanged || !this.projectId) {
+                projectData.gpBlob = this.gpFile;
+                projectData.audioBlob = this.audioFile;
+                projectData.coverBlob = this.coverFile;
+            }
             
             console.log('Auto-saving project:', {
                 id: projectData.id,
                 title: projectData.title,
                 gpFileName: projectData.gpFileName,
                 audioFileName: projectData.audioFileName,
-                hasGpData: !!projectData.gpFileData,
-                gpDataLength: projectData.gpFileData?.length,
-                hasAudioData: !!projectData.audioFileData,
-                audioDataLength: projectData.audioFileData?.length,
+                writesFiles: !!projectData.gpBlob,
                 markersCount: projectData.markers?.length
             });
             
@@ -1598,6 +3294,7 @@ class SyncEditor {
             
         } catch (e) {
             console.error('Auto-save failed:', e);
+            this.mediaChanged = this.mediaChanged || mediaChanged;
         }
         
         this.isSaving = false;
@@ -1649,39 +3346,31 @@ class SyncEditor {
         this.isSaving = true;
         this.showLoading('Saving to library...');
         
+        const mediaChanged = this.mediaChanged;
+        this.mediaChanged = false;
+        
         try {
-            // Use stored base64 data, or convert if needed
-            let gpBase64 = this.gpFileDataBase64;
-            let audioBase64 = this.audioFileData;
-            
-            // Convert GP file if base64 not available
-            if (!gpBase64 && this.gpFile) {
-                gpBase64 = await this.fileToBase64(this.gpFile);
-                this.gpFileDataBase64 = gpBase64;
-            } else if (!gpBase64 && this.gpFileData) {
-                // Convert Uint8Array to base64 using chunked method
-                gpBase64 = this.arrayBufferToBase64(this.gpFileData.buffer);
-                this.gpFileDataBase64 = gpBase64;
-            }
-            
-            // Convert audio file if base64 not available
-            if (!audioBase64 && this.audioFile) {
-                audioBase64 = await this.fileToBase64(this.audioFile);
-                this.audioFileData = audioBase64;
-            }
-            
             const projectData = {
                 id: this.projectId, // Will be null for new projects
                 title: this.elements.exportTitle.value || this.score.title || 'Untitled',
                 artist: this.elements.exportArtist.value || this.score.artist || 'Unknown Artist',
                 gpFileName: this.gpFileName || 'unknown.gp',
                 audioFileName: this.audioFileName || 'unknown.mp3',
-                gpFileData: gpBase64,
-                audioFileData: audioBase64,
+                mediaType: this.mediaType,
+                coverFileName: this.coverFileName,
+                notes: this.notes,
                 markers: this.beatMarkers,
+                beats: this.beatAnchors,
+                history: this.history,
+                tapLatency: this.appliedTapLatency,
                 totalBars: this.totalBars,
                 audioDuration: this.wavesurfer.getDuration()
             };
+            if (mediaChanged || !this.projectId) {
+                projectData.gpBlob = this.gpFile;
+                projectData.audioBlob = this.audioFile;
+                projectData.coverBlob = this.coverFile;
+            }
             
             // Use the static save method from library.js
             const saved = await window.TabLibrary.saveToLibrary(projectData);
@@ -1693,6 +3382,7 @@ class SyncEditor {
             
         } catch (e) {
             console.error('Failed to save to library:', e);
+            this.mediaChanged = this.mediaChanged || mediaChanged;
             this.hideLoading();
             alert('Failed to save to library. Please try again.');
         }
@@ -0,0 +1,116 @@
+/**
+ * Library Backup
+ * The whole library in one file, to move it to another browser or keep it
+ * safe from cleared site data. A zip (see TabPack.zip) holding:
+ *
+ *   library.json      { format: 'tabplayer-library', version, createdAt,
+ *                       projects: [project record + files: { gp, audio,
+ *                       cover? } naming the entries below] }
+ *   <id>-gp.gp        each project's Guitar Pro file,
+ *   <id>-audio.mp3    recording (or video)
+ *   <id>-cover.jpg    and cover art, named by project id and slot
+ *
+ * Project records are kept as they are in the library, timestamps
+ * included, so a restore can tell which copy of a project is newer.
+ */
+
+window.LibraryBackup = {
+    FORMAT: 'tabplayer-library',
+    VERSION: 1,
+    EXTENSION: 'tabbackup',
+    MANIFEST: 'library.json',
+
+    isBackup(file) {
+        return window.TabSync.extensionOf(file.name) === this.EXTENSION;
+    },
+
+    fileName(date = new Date()) {
+        return `TabPlayer_Library_${date.toISOString().slice(0, 10)}.${this.EXTENSION}`;
+    },
+
+    /**
+     * Back up the projects with the given ids. `onProgress(done, total,
+     * label)` reports each project read, then the bytes written. Returns
+     * the archive as a Blob.
+     */
+    async create(ids, onProgress = () => {}) {
+        const files = [];
+        const projects = [];
+
+        for (const [i, id] of ids.entries()) {
+            const loaded = await window.TabLibrary.loadProject(id);
+            if (!loaded) continue;
+            onProgress(i + 1, ids.length, `Reading ${loaded.title} (${i + 1}/${ids.length})`);
+
+            const { gpBlob, audioBlob, coverBlob, media, ...project } = loaded;
+            const names = { gp: project.gpFileName, audio: project.audioFileName, cover: project.coverFileName };
+            const blobs = { gp: gpBlob, audio: audioBlob, cover: coverBlob };
+            project.files = {};
+            window.TabLibrary.MEDIA_SLOTS.forEach(slot => {
+                if (!blobs[slot]) return;
+                const extension = window.TabSync.extensionOf(names[slot] || '');
+                const path = `${id}-${slot}${extension ? `.${extension}` : ''}`;
+                project.files[slot] = { path, type: blobs[slot].type };
+                files.push(new File([blobs[slot]], path, { type: blobs[slot].type }));
+            });
+            projects.push(project);
+        }
+
+        const manifest = {
+            format: this.FORMAT,
+            version: this.VERSION,
+            createdAt: new Date().toISOString(),
+            projects
+        };
+        files.unshift(new File([JSON.stringify(manifest, null, 2)], this.MANIFEST, { type: 'application/json' }));
+
+        return window.TabPack.zip(files, (done, total) => {
+            onProgress(done, total, `Writing backup (${total > 0 ? Math.round((done / total) * 100) : 100}%)`);
+        });
+    },
+
+    /**
+     * Read a backup. Returns { manifest, entries: [{ project, gpBlob,
+     * audioBlob, coverBlob }] }; projects missing their tab or recording
+     * are left out and listed in `missing` by title.
+     */
+    async open(blob) {
+        const files = await window.TabPack.unzip(blob);
+        const byName = (path) => files.find(file => file.name === window.TabSync.fileNameOf(path)) || null;
+
+        const manifestFile = byName(this.MANIFEST);
+        if (!manifestFile) throw new Error('Not a library backup');
+        const manifest = JSON.parse(await manifestFile.text());
+        if (manifest.format !== this.FORMAT || !Array.isArray(manifest.projects)) {
+            throw new Error('Not a library backup');
+        }
+        if (manifest.version > this.VERSION) {
+            throw new Error('This backup was made by a newer version of TabPlayer');
+        }
+
+        const entries = [];
+        const missing = [];
+        manifest.projects.forEach(({ files: paths = {}, ...project }) => {
+            const entry = { project, gpBlob: null, audioBlob: null, coverBlob: null };
+            window.TabLibrary.MEDIA_SLOTS.forEach(slot => {
+                const file = paths[slot] && byName(paths[slot].path);
+                if (file) entry[`${slot}Blob`] = new Blob([file], { type: paths[slot].type || file.type });
+            });
+            if (entry.gpBlob && entry.audioBlob) {
+                entries.push(entry);
+            } else {
+                missing.push(project.title || project.id);
+            }
+        });
+
+        return { manifest, entries, missing };
+    },
+
+    /**
+     * What to do by default with a project that is already in the library:
+     * overwrite it if the backup's copy is newer, otherwise skip it.
+     */
+    defaultAction(existing, project) {
+        return new Date(project.updatedAt) > new Date(existing.updatedAt) ? 'overwrite' : 'skip';
+    }
+};
@@ -11,6 +11,8 @@ class TabLibrary {
         this.currentSort = 'updated';
         this.searchQuery = '';
         this.selectedProjectId = null;
+        this.coverUrls = {}; // project id -> object URL of its cover art
+        this.resolveRestore = null; // answers the restore modal
         
         // DOM Elements
         this.elements = {
@@ -29,8 +31,22 @@ class TabLibrary {
             closeDeleteModal: document.getElementById('closeDeleteModal'),
             cancelDelete: document.getElementById('cancelDelete'),
             confirmDelete: document.getElementById('confirmDelete'),
+            importBtn: document.getElementById('importBtn'),
+            importInput: document.getElementById('importInput'),
+            backupBtn: document.getElementById('backupBtn'),
+            restoreBtn: document.getElementById('restoreBtn'),
+            restoreInput: document.getElementById('restoreInput'),
+            restoreModal: document.getElementById('restoreModal'),
+            restoreSummary: document.getElementById('restoreSummary'),
+            restoreConflicts: document.getElementById('restoreConflicts'),
+            restoreAllSelect: document.getElementById('restoreAllSelect'),
+            restoreList: document.getElementById('restoreList'),
+            closeRestoreModal: document.getElementById('closeRestoreModal'),
+            cancelRestore: document.getElementById('cancelRestore'),
+            confirmRestore: document.getElementById('confirmRestore'),
             loadingOverlay: document.getElementById('loadingOverlay'),
-            loadingText: document.getElementById('loadingText')
+            loadingText: document.getElementById('loadingText'),
+            loadingProgressFill: document.getElementById('loadingProgressFill')
         };
         
         this.init();
@@ -48,35 +64,16 @@ class TabLibrary {
     // Database Operations
     // ===================================
     
-    initDatabase() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open('TabPlayerLibrary', 1);
-            
-            request.onerror = () => {
-                console.error('Failed to open database');
-                reject(request.error);
-            };
-            
-            request.onsuccess = () => {
-                this.db = request.result;
-                resolve();
-            };
-            
-            request.onupgradeneeded = (e) => {
-                const db = e.target.result;
-                
-                // Create projects store
-                if (!db.objectStoreNames.contains('projects')) {
-                    const store = db.createObjectStore('projects', { keyPath: 'id' });
-                    store.createIndex('title', 'title', { unique: false });
-                    store.createIndex('artist', 'artist', { unique: false });
-                    store.createIndex('createdAt', 'createdAt', { unique: false });
-                    store.createIndex('updatedAt', 'updatedAt', { unique: false });
-                }
-            };
-        });
+    async initDatabase() {
+        try {
+            this.db = await window.TabLibrary.openDatabase();
+        } catch (e) {
+            console.error('Failed to open database');
+            throw e;
+        }
     }
     
+    // Project records hold the metadata only - the files stay in the media store
     async loadProjects() {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction(['projects'], 'readonly');
@@ -87,6 +84,7 @@ class TabLibrary {
                 this.projects = request.result || [];
                 this.renderProjects();
                 this.updateStats();
+                this.loadCovers();
                 resolve();
             };
             
@@ -97,61 +95,37 @@ class TabLibrary {
         });
     }
     
-    async saveProject(project) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['projects'], 'readwrite');
-            const store = transaction.objectStore('projects');
-            
-            // Update timestamp
-            project.updatedAt = new Date().toISOString();
-            
-            const request = store.put(project);
-            
-            request.onsuccess = () => {
-                resolve(project);
-            };
-            
-            request.onerror = () => {
-                console.error('Failed to save project');
-                reject(request.error);
-            };
-        });
-    }
-    
     async deleteProject(id) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['projects'], 'readwrite');
-            const store = transaction.objectStore('projects');
-            const request = store.delete(id);
-            
-            request.onsuccess = () => {
-                this.projects = this.projects.filter(p => p.id !== id);
-                this.renderProjects();
-                this.updateStats();
-                resolve();
-            };
-            
-            request.onerror = () => {
-                console.error('Failed to delete project');
-                reject(request.error);
-            };
-        });
+        try {
+            await window.TabLibrary.deleteProject(id);
+        } catch (e) {
+            console.error('Failed to delete project');
+            throw e;
+        }
+        
+        this.projects = this.projects.filter(p => p.id !== id);
+        if (this.coverUrls[id]) {
+            URL.revokeObjectURL(this.coverUrls[id]);
+            delete this.coverUrls[id];
+        }
+        this.renderProjects();
+        this.updateStats();
     }
     
-    async getProject(id) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['projects'], 'readonly');
-            const store = transaction.objectStore('projects');
-            const request = store.get(id);
-            
-            request.onsuccess = () => {
-                resolve(request.result);
-            };
-            
-            request.onerror = () => {
-                reject(request.error);
-            };
-        });
+    // Cover art as object URLs, read once the cards are on screen
+    async loadCovers() {
+        const missing = this.projects.filter(p => p.media?.cover && !this.coverUrls[p.id]);
+        if (missing.length === 0) return;
+        
+        for (const project of missing) {
+            try {
+                const cover = await window.TabLibrary.loadMedia(project.media.cover.key);
+                if (cover) this.coverUrls[project.id] = URL.createObjectURL(cover);
+            } catch (e) {
+                console.error('Failed to load cover for', project.id, e);
+            }
+        }
+        this.renderProjects();
     }
     
     // ===================================
@@ -175,6 +149,51 @@ class TabLibrary {
             this.renderProjects();
         });
         
+        // Import
+        this.elements.importBtn.addEventListener('click', () => this.elements.importInput.click());
+        this.elements.importInput.addEventListener('change', (e) => {
+            this.importFiles(Array.from(e.target.files));
+            e.target.value = '';
+        });
+        
+        // Backup / restore
+        this.elements.backupBtn.addEventListener('click', () => this.backupLibrary());
+        this.elements.restoreBtn.addEventListener('click', () => this.elements.restoreInput.click());
+        this.elements.restoreInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.restoreLibrary(e.target.files[0]);
+            e.target.value = '';
+        });
+        this.elements.restoreAllSelect.addEventListener('change', (e) => this.setRestoreActions(e.target.value));
+        this.elements.closeRestoreModal.addEventListener('click', () => this.hideRestoreModal());
+        this.elements.cancelRestore.addEventListener('click', () => this.hideRestoreModal());
+        this.elements.confirmRestore.addEventListener('click', () => this.confirmRestore());
+        this.elements.restoreModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.restoreModal) {
+                this.hideRestoreModal();
+            }
+        });
+        
+        // Drop .tabpacks, or .tabsyncs with their files (folders too), anywhere on the page
+        const content = this.elements.libraryContent;
+        document.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            content.classList.add('dragover');
+        });
+        document.addEventListener('dragleave', (e) => {
+            if (!e.relatedTarget) content.classList.remove('dragover');
+        });
+        document.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            content.classList.remove('dragover');
+            try {
+                this.importFiles(await window.TabSync.readDroppedFiles(e.dataTransfer));
+            } catch (err) {
+                console.error('Failed to read dropped files:', err);
+                alert('Failed to read the dropped files.');
+            }
+        });
+        
         // Close context menu on click outside
         document.addEventListener('click', (e) => {
             if (!this.elements.contextMenu.contains(e.target)) {
@@ -206,6 +225,7 @@ class TabLibrary {
             if (e.key === 'Escape') {
                 this.hideContextMenu();
                 this.hideDeleteModal();
+                this.hideRestoreModal();
             }
         });
     }
@@ -298,11 +318,13 @@ class TabLibrary {
             <div class="project-card" data-id="${project.id}">
                 <div class="project-header">
                     <div class="project-icon">
+                        ${this.coverUrls[project.id] ? `
+                        <img src="${this.coverUrls[project.id]}" alt="">` : `
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M9 18V5l12-2v13"/>
                             <circle cx="6" cy="18" r="3"/>
                             <circle cx="18" cy="16" r="3"/>
-                        </svg>
+                        </svg>`}
                     </div>
                     <h3 class="project-title">${this.escapeHtml(project.title)}</h3>
                     <p class="project-artist">${this.escapeHtml(project.artist)}</p>
@@ -330,6 +352,14 @@ class TabLibrary {
                             </svg>
                             ${this.formatDuration(project.audioDuration || 0)}
                         </span>
+                        ${(project.mediaType || window.TabLibrary.mediaTypeOf(project.audioFileName)) === 'video' ? `
+                        <span class="project-stat">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polygon points="23,7 16,12 23,17"/>
+                                <rect x="1" y="5" width="15" height="14" rx="2"/>
+                            </svg>
+                            Video
+                        </span>` : ''}
                     </div>
                     <div class="sync-progress">
                         <div class="sync-progress-fill" style="width: ${syncPercent}%"></div>
@@ -486,55 +516,241 @@ class TabLibrary {
         window.location.href = `sync-player.html?project=${id}`;
     }
     
+    // One .tabpack with the sync data, tab, recording and extras
     async exportProject(id) {
-        const project = await this.getProject(id);
-        if (!project) return;
-        
-        // Export .tabsync file
-        const syncData = {
-            version: 2,
-            title: project.title,
-            artist: project.artist,
-            gpFile: project.gpFileName,
-            audioFile: project.audioFileName,
-            totalBars: project.totalBars,
-            markers: project.markers,
-            createdAt: project.createdAt,
-            exportedAt: new Date().toISOString()
-        };
+        this.showLoading('Packing project...');
+        try {
+            const project = await window.TabLibrary.loadProject(id);
+            if (!project) throw new Error('Project not found');
+            const pack = await window.TabLibrary.packProject(project);
+            this.downloadFile(pack, window.TabPack.fileName(project.title));
+        } catch (e) {
+            console.error('Failed to export project:', e);
+            alert('Failed to export project: ' + e.message);
+        }
+        this.hideLoading();
+    }
+    
+    /**
+     * Import .tabpacks, and .tabsyncs together with the Guitar Pro files and
+     * recordings they name (picked or dropped alongside them).
+     */
+    async importFiles(files) {
+        // A library backup dropped or picked on its own restores it
+        const backup = files.find(file => window.LibraryBackup.isBackup(file));
+        if (backup) {
+            this.restoreLibrary(backup);
+            return;
+        }
         
-        const json = JSON.stringify(syncData, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        this.downloadFile(blob, `${project.title.replace(/[^a-z0-9]/gi, '_')}.tabsync`);
+        const askToImport = (name) => (warnings) => confirm(`${name}:\n\n${warnings.join('\n')}\n\nImport anyway?`);
+        const imports = [
+            ...files.filter(file => window.TabPack.isTabPack(file)).map(file => ({
+                name: file.name,
+                run: () => window.TabLibrary.importTabPack(file, askToImport(file.name))
+            })),
+            ...files.filter(file => window.TabSync.isSyncFile(file)).map(file => ({
+                name: file.name,
+                run: () => window.TabLibrary.importSyncFile(file, files, askToImport(file.name))
+            }))
+        ];
+        if (imports.length === 0) {
+            alert('Choose a .tabpack, or a .tabsync together with its Guitar Pro file and recording.');
+            return;
+        }
         
-        // Also offer to download GP and audio files
-        if (project.gpFileData) {
-            const gpBlob = this.base64ToBlob(project.gpFileData, 'application/octet-stream');
-            this.downloadFile(gpBlob, project.gpFileName);
+        const failed = [];
+        let imported = 0;
+        for (const [i, { name, run }] of imports.entries()) {
+            this.showLoading(`Importing ${name} (${i + 1}/${imports.length})...`);
+            try {
+                if (await run()) imported++;
+            } catch (e) {
+                console.error('Failed to import', name, e);
+                failed.push(`${name}: ${e.message}`);
+            }
         }
         
-        if (project.audioFileData) {
-            const audioBlob = this.base64ToBlob(project.audioFileData, 'audio/mpeg');
-            this.downloadFile(audioBlob, project.audioFileName);
+        await this.loadProjects();
+        this.hideLoading();
+        if (failed.length > 0) {
+            alert(`Imported ${imported} of ${imports.length}. These could not be imported:\n\n${failed.join('\n')}`);
         }
     }
     
+    // The copy gets its own media, so deleting either one leaves the other intact
     async duplicateProject(id) {
-        const project = await this.getProject(id);
+        const project = await window.TabLibrary.loadProject(id);
         if (!project) return;
         
-        const duplicate = {
-            ...project,
-            id: this.generateId(),
-            title: `${project.title} (Copy)`,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+        this.showLoading('Duplicating project...');
+        try {
+            await window.TabLibrary.saveToLibrary({
+                ...project,
+                id: null,
+                title: `${project.title} (Copy)`,
+                createdAt: null
+            });
+            await this.loadProjects();
+        } catch (e) {
+            console.error('Failed to duplicate project:', e);
+            alert('Failed to duplicate project: ' + e.message);
+        }
+        this.hideLoading();
+    }
+    
+    // ===================================
+    // Backup & Restore
+    // ===================================
+    
+    async backupLibrary() {
+        if (this.projects.length === 0) {
+            alert('There are no projects to back up yet.');
+            return;
+        }
         
-        await this.saveProject(duplicate);
-        this.projects.push(duplicate);
-        this.renderProjects();
-        this.updateStats();
+        this.showProgress('Backing up library...', 0, 1);
+        try {
+            const backup = await window.LibraryBackup.create(
+                this.projects.map(p => p.id),
+                (done, total, label) => this.showProgress(`${label}...`, done, total)
+            );
+            this.downloadFile(backup, window.LibraryBackup.fileName());
+        } catch (e) {
+            console.error('Failed to back up library:', e);
+            alert('Failed to back up library: ' + e.message);
+        }
+        this.hideLoading();
+    }
+    
+    /**
+     * Merge a backup into the library. Projects already here (same id) are
+     * overwritten, kept alongside or skipped as chosen in the restore modal.
+     */
+    async restoreLibrary(file) {
+        this.showLoading('Reading backup...');
+        let backup;
+        try {
+            backup = await window.LibraryBackup.open(file);
+        } catch (e) {
+            console.error('Failed to read backup:', e);
+            this.hideLoading();
+            alert('Failed to read backup: ' + e.message);
+            return;
+        }
+        this.hideLoading();
+        
+        if (backup.entries.length === 0) {
+            alert('There are no projects in this backup.');
+            return;
+        }
+        
+        const actions = await this.showRestoreModal(backup);
+        if (!actions) return;
+        
+        const failed = [];
+        const counts = { added: 0, overwritten: 0, kept: 0, skipped: 0 };
+        for (const [i, entry] of backup.entries.entries()) {
+            const action = actions[entry.project.id] || 'add';
+            this.showProgress(`Restoring ${entry.project.title} (${i + 1}/${backup.entries.length})...`, i, backup.entries.length);
+            if (action === 'skip') {
+                counts.skipped++;
+                continue;
+            }
+            try {
+                await window.TabLibrary.restoreProject(entry, action);
+                counts[{ add: 'added', overwrite: 'overwritten', 'keep-both': 'kept' }[action]]++;
+            } catch (e) {
+                console.error('Failed to restore', entry.project.title, e);
+                failed.push(`${entry.project.title}: ${e.message || e.name}`);
+            }
+        }
+        
+        await this.loadProjects();
+        this.hideLoading();
+        
+        const summary = [
+            `Added ${counts.added}`,
+            counts.overwritten && `overwrote ${counts.overwritten}`,
+            counts.kept && `kept ${counts.kept} alongside the library's copy`,
+            counts.skipped && `skipped ${counts.skipped}`
+        ].filter(Boolean).join(', ');
+        const problems = [
+            ...failed,
+            ...backup.missing.map(title => `${title}: its files are missing from the backup`)
+        ];
+        alert(problems.length > 0
+            ? `${summary}. These could not be restored:\n\n${problems.join('\n')}`
+            : `${summary}.`);
+    }
+    
+    /**
+     * Ask what to do with projects that are already in the library.
+     * Resolves to { [id]: 'overwrite' | 'keep-both' | 'skip' } for those,
+     * or null if cancelled.
+     */
+    showRestoreModal(backup) {
+        const conflicts = backup.entries
+            .map(entry => ({ project: entry.project, existing: this.projects.find(p => p.id === entry.project.id) }))
+            .filter(c => c.existing);
+        const total = backup.entries.length;
+        const made = new Date(backup.manifest.createdAt).toLocaleDateString();
+        
+        this.elements.restoreSummary.textContent = conflicts.length > 0
+            ? `This backup from ${made} has ${total} project${total === 1 ? '' : 's'}, ${conflicts.length} of them already in your library.`
+            : `Add the ${total} project${total === 1 ? '' : 's'} from this backup from ${made} to your library?`;
+        this.elements.restoreConflicts.style.display = conflicts.length > 0 ? 'block' : 'none';
+        this.elements.restoreAllSelect.value = 'newer';
+        
+        const formatDate = (date) => new Date(date).toLocaleString();
+        this.elements.restoreList.innerHTML = conflicts.map(({ project, existing }) => {
+            const backupNewer = new Date(project.updatedAt) > new Date(existing.updatedAt);
+            return `
+                <div class="restore-item" data-id="${project.id}" data-default="${window.LibraryBackup.defaultAction(existing, project)}">
+                    <div class="restore-item-info">
+                        <div class="restore-item-title">${this.escapeHtml(project.title)}</div>
+                        <div class="restore-item-dates">
+                            <span class="${backupNewer ? '' : 'newer'}">Library: ${formatDate(existing.updatedAt)}</span> ·
+                            <span class="${backupNewer ? 'newer' : ''}">Backup: ${formatDate(project.updatedAt)}</span>
+                        </div>
+                    </div>
+                    <select class="sort-select">
+                        <option value="overwrite">Overwrite</option>
+                        <option value="keep-both">Keep both</option>
+                        <option value="skip">Skip</option>
+                    </select>
+                </div>
+            `;
+        }).join('');
+        this.setRestoreActions('newer');
+        
+        this.elements.restoreModal.classList.add('visible');
+        return new Promise(resolve => {
+            this.resolveRestore = resolve;
+        });
+    }
+    
+    // Set every conflict to one action ('newer' picks per project by updatedAt)
+    setRestoreActions(action) {
+        this.elements.restoreList.querySelectorAll('.restore-item').forEach(item => {
+            item.querySelector('select').value = action === 'newer' ? item.dataset.default : action;
+        });
+    }
+    
+    confirmRestore() {
+        const actions = {};
+        this.elements.restoreList.querySelectorAll('.restore-item').forEach(item => {
+            actions[item.dataset.id] = item.querySelector('select').value;
+        });
+        this.hideRestoreModal(actions);
+    }
+    
+    hideRestoreModal(actions = null) {
+        this.elements.restoreModal.classList.remove('visible');
+        if (this.resolveRestore) {
+            this.resolveRestore(actions);
+            this.resolveRestore = null;
+        }
     }
     
     // ===================================
@@ -547,8 +763,7 @@ class TabLibrary {
         // Calculate storage
         let totalSize = 0;
         this.projects.forEach(p => {
-            if (p.gpFileData) totalSize += p.gpFileData.length * 0.75; // base64 overhead
-            if (p.audioFileData) totalSize += p.audioFileData.length * 0.75;
+            totalSize += window.TabLibrary.mediaSize(p);
         });
         
         const sizeMB = (totalSize / (1024 * 1024)).toFixed(1);
@@ -559,10 +774,6 @@ class TabLibrary {
     // Utilities
     // ===================================
     
-    generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
-    }
-    
     escapeHtml(str) {
         const div = document.createElement('div');
         div.textContent = str;
@@ -584,22 +795,21 @@ class TabLibrary {
         URL.revokeObjectURL(url);
     }
     
-    base64ToBlob(base64, type) {
-        const binary = atob(base64);
-        const array = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            array[i] = binary.charCodeAt(i);
-        }
-        return new Blob([array], { type });
-    }
-    
     showLoading(text = 'Loading...') {
         this.elements.loadingText.textContent = text;
+        this.elements.loadingOverlay.classList.remove('has-progress');
         this.elements.loadingOverlay.classList.add('visible');
     }
     
+    // The loading overlay with a progress bar, for long backups and restores
+    showProgress(text, done, total) {
+        this.showLoading(text);
+        this.elements.loadingOverlay.classList.add('has-progress');
+        this.elements.loadingProgressFill.style.width = `${total > 0 ? Math.round((done / total) * 100) : 0}%`;
+    }
+    
     hideLoading() {
-        this.elements.loadingOverlay.classList.remove('visible');
+        this.elements.loadingOverlay.classList.remove('visible', 'has-progress');
     }
 }
 
@@ -608,172 +818,333 @@ class TabLibrary {
 // ===================================
 
 window.TabLibrary = {
-    async saveToLibrary(projectData) {
-        console.log('[TabLibrary] saveToLibrary called with:', {
-            id: projectData.id,
-            title: projectData.title,
-            hasGpFileData: !!projectData.gpFileData,
-            gpFileDataLength: projectData.gpFileData?.length,
-            hasAudioFileData: !!projectData.audioFileData,
-            audioFileDataLength: projectData.audioFileData?.length
-        });
+    DB_NAME: 'TabPlayerLibrary',
+    // 1: files in the project records as base64
+    // 2: files as Blobs in the media store, keyed `${projectId}:${slot}`
+    DB_VERSION: 2,
+    MEDIA_SLOTS: ['gp', 'audio', 'cover'],
+    
+    db: null,
+    
+    /**
+     * The library database, opened (and upgraded) once per page.
+     */
+    openDatabase() {
+        if (this.db) return Promise.resolve(this.db);
         
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open('TabPlayerLibrary', 1);
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
             
             request.onerror = () => {
                 console.error('[TabLibrary] Failed to open database:', request.error);
                 reject(request.error);
             };
             
+            request.onblocked = () => {
+                console.warn('[TabLibrary] Database upgrade is waiting for other TabPlayer tabs to close');
+            };
+            
             request.onsuccess = () => {
                 const db = request.result;
-                const transaction = db.transaction(['projects'], 'readwrite');
-                const store = transaction.objectStore('projects');
+                // Let a newer version open in another tab upgrade it
+                db.onversionchange = () => {
+                    db.close();
+                    this.db = null;
+                };
+                this.db = db;
+                resolve(db);
+            };
+            
+            request.onupgradeneeded = (e) => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('projects')) {
+                    const store = db.createObjectStore('projects', { keyPath: 'id' });
+                    store.createIndex('title', 'title', { unique: false });
+                    store.createIndex('artist', 'artist', { unique: false });
+                    store.createIndex('createdAt', 'createdAt', { unique: false });
+                    store.createIndex('updatedAt', 'updatedAt', { unique: false });
+                }
+                if (!db.objectStoreNames.contains('media')) {
+                    db.createObjectStore('media');
+                }
+                if (e.oldVersion === 1) {
+                    this.migrateMedia(request.transaction);
+                }
+            };
+        });
+    },
+    
+    /**
+     * Version 1 -> 2: move each project's base64 files into the media store
+     * as Blobs. Runs inside the upgrade transaction, so a failure leaves
+     * the library at version 1 untouched.
+     */
+    migrateMedia(transaction) {
+        const projects = transaction.objectStore('projects');
+        const media = transaction.objectStore('media');
+        console.log('[TabLibrary] Moving library media to Blob storage');
+        
+        projects.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            
+            const { gpFileData, audioFileData, coverFileData, ...project } = cursor.value;
+            // A damaged file is dropped rather than failing the whole upgrade
+            const toBlob = (base64, type) => {
+                try {
+                    return base64 ? this.base64ToBlob(base64, type) : null;
+                } catch (err) {
+                    console.error('[TabLibrary] Unreadable file in project', project.id, err);
+                    return null;
+                }
+            };
+            const files = {
+                gp: toBlob(gpFileData, 'application/octet-stream'),
+                audio: toBlob(audioFileData, this.mimeTypeOf(project.audioFileName)),
+                cover: toBlob(coverFileData, window.TabPack ? window.TabPack.typeOf(project.coverFileName) : '')
+            };
+            
+            project.media = {};
+            this.MEDIA_SLOTS.forEach(slot => {
+                project.media[slot] = null;
+                if (!files[slot]) return;
+                const key = `${project.id}:${slot}`;
+                media.put(files[slot], key);
+                project.media[slot] = { key, size: files[slot].size };
+            });
+            
+            cursor.update(project);
+            cursor.continue();
+        };
+    },
+    
+    /**
+     * Save a project. Its files are passed as `gpBlob`, `audioBlob` and
+     * `coverBlob` (Blobs or Files); leave one out to keep the file already
+     * saved with the project, or pass null for the cover to remove it.
+     * Resolves to the project record (metadata only).
+     */
+    async saveToLibrary(projectData) {
+        console.log('[TabLibrary] saveToLibrary called with:', {
+            id: projectData.id,
+            title: projectData.title,
+            gpBlobSize: projectData.gpBlob?.size,
+            audioBlobSize: projectData.audioBlob?.size,
+            coverBlobSize: projectData.coverBlob?.size
+        });
+        
+        const db = await this.openDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['projects', 'media'], 'readwrite');
+            const projects = transaction.objectStore('projects');
+            const media = transaction.objectStore('media');
+            const id = projectData.id || (Date.now().toString(36) + Math.random().toString(36).substr(2));
+            let project;
+            
+            transaction.onerror = (e) => {
+                console.error('[TabLibrary] Transaction error:', e.target.error);
+                reject(e.target.error);
+            };
+            
+            // Running out of storage aborts without an error event
+            transaction.onabort = () => reject(transaction.error);
+            
+            transaction.oncomplete = () => {
+                console.log('[TabLibrary] Project saved successfully:', project.id);
+                resolve(project);
+            };
+            
+            const req = projects.get(id);
+            req.onsuccess = () => {
+                const existing = req.result;
                 
-                const project = {
-                    id: projectData.id || (Date.now().toString(36) + Math.random().toString(36).substr(2)),
+                project = {
+                    id,
                     title: projectData.title || 'Untitled',
                     artist: projectData.artist || 'Unknown Artist',
                     gpFileName: projectData.gpFileName,
                     audioFileName: projectData.audioFileName,
-                    gpFileData: projectData.gpFileData, // base64
-                    audioFileData: projectData.audioFileData, // base64
+                    mediaType: projectData.mediaType || this.mediaTypeOf(projectData.audioFileName),
+                    coverFileName: projectData.coverFileName || null, // cover art from a .tabpack
+                    media: { gp: null, audio: null, cover: null, ...existing?.media }, // { key, size } per file
+                    notes: projectData.notes || '',
                     markers: projectData.markers || [],
+                    beats: projectData.beats || [],
+                    history: projectData.history || null, // editor undo/redo stack
+                    tapLatency: projectData.tapLatency ?? null, // tap compensation applied to the markers
                     totalBars: projectData.totalBars || 0,
                     audioDuration: projectData.audioDuration || 0,
-                    createdAt: projectData.createdAt || new Date().toISOString(),
+                    createdAt: projectData.createdAt || existing?.createdAt || new Date().toISOString(),
                     updatedAt: new Date().toISOString()
                 };
                 
-                console.log('[TabLibrary] Storing project:', project.id, 'gpData:', !!project.gpFileData, 'audioData:', !!project.audioFileData);
-                
-                // Handle transaction errors
-                transaction.onerror = (e) => {
-                    console.error('[TabLibrary] Transaction error:', e.target.error);
-                    reject(e.target.error);
-                };
-                
-                transaction.oncomplete = () => {
-                    console.log('[TabLibrary] Transaction complete for project:', project.id);
-                };
+                this.MEDIA_SLOTS.forEach(slot => {
+                    const blob = projectData[`${slot}Blob`];
+                    if (blob === undefined) return;
+                    const key = `${id}:${slot}`;
+                    if (blob) {
+                        media.put(blob, key);
+                        project.media[slot] = { key, size: blob.size };
+                    } else {
+                        media.delete(key);
+                        project.media[slot] = null;
+                    }
+                });
+                if (!project.media.cover) project.coverFileName = null;
                 
-                const req = store.put(project);
-                req.onsuccess = () => {
-                    console.log('[TabLibrary] Project saved successfully:', project.id);
-                    resolve(project);
-                };
-                req.onerror = () => {
-                    console.error('[TabLibrary] Failed to save project:', req.error);
-                    reject(req.error);
-                };
-            };
-            
-            request.onupgradeneeded = (e) => {
-                const db = e.target.result;
-                if (!db.objectStoreNames.contains('projects')) {
-                    const store = db.createObjectStore('projects', { keyPath: 'id' });
-                    store.createIndex('title', 'title', { unique: false });
-                    store.createIndex('artist', 'artist', { unique: false });
-                    store.createIndex('createdAt', 'createdAt', { unique: false });
-                    store.createIndex('updatedAt', 'updatedAt', { unique: false });
-                }
+                console.log('[TabLibrary] Storing project:', project.id, 'media:', project.media);
+                projects.put(project);
             };
         });
     },
     
+    /**
+     * A project with its files: the record plus `gpBlob`, `audioBlob` and
+     * `coverBlob` (null when missing). Resolves to undefined if there is
+     * no such project.
+     */
     async loadProject(id) {
         console.log('[TabLibrary] loadProject called with id:', id);
         
+        const db = await this.openDatabase();
+        
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open('TabPlayerLibrary', 1);
+            const transaction = db.transaction(['projects', 'media'], 'readonly');
+            const media = transaction.objectStore('media');
+            let project;
             
-            request.onerror = () => {
-                console.error('[TabLibrary] Failed to open database:', request.error);
-                reject(request.error);
+            transaction.onerror = (e) => {
+                console.error('[TabLibrary] Failed to load project:', e.target.error);
+                reject(e.target.error);
             };
             
-            request.onsuccess = () => {
-                const db = request.result;
-                const transaction = db.transaction(['projects'], 'readonly');
-                const store = transaction.objectStore('projects');
-                const req = store.get(id);
-                
-                req.onsuccess = () => {
-                    const project = req.result;
-                    console.log('[TabLibrary] Project loaded:', {
-                        id: project?.id,
-                        title: project?.title,
-                        hasGpFileData: !!project?.gpFileData,
-                        gpFileDataLength: project?.gpFileData?.length,
-                        hasAudioFileData: !!project?.audioFileData,
-                        audioFileDataLength: project?.audioFileData?.length
-                    });
-                    resolve(project);
-                };
-                req.onerror = () => {
-                    console.error('[TabLibrary] Failed to load project:', req.error);
-                    reject(req.error);
-                };
+            transaction.oncomplete = () => {
+                console.log('[TabLibrary] Project loaded:', {
+                    id: project?.id,
+                    title: project?.title,
+                    gpBlobSize: project?.gpBlob?.size,
+                    audioBlobSize: project?.audioBlob?.size
+                });
+                resolve(project);
             };
             
-            request.onupgradeneeded = (e) => {
-                const db = e.target.result;
-                if (!db.objectStoreNames.contains('projects')) {
-                    db.createObjectStore('projects', { keyPath: 'id' });
-                }
+            const req = transaction.objectStore('projects').get(id);
+            req.onsuccess = () => {
+                if (!req.result) return;
+                project = { ...req.result, gpBlob: null, audioBlob: null, coverBlob: null };
+                
+                this.MEDIA_SLOTS.forEach(slot => {
+                    const file = project.media?.[slot];
+                    if (!file) return;
+                    media.get(file.key).onsuccess = (e) => {
+                        project[`${slot}Blob`] = e.target.result || null;
+                    };
+                });
             };
         });
     },
     
-    // Debug function - call from console: TabLibrary.debugAllProjects()
-    async debugAllProjects() {
+    /**
+     * One file from the media store (a Blob, or undefined).
+     */
+    async loadMedia(key) {
+        const db = await this.openDatabase();
+        
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open('TabPlayerLibrary', 1);
-            request.onsuccess = () => {
-                const db = request.result;
-                const transaction = db.transaction(['projects'], 'readonly');
-                const store = transaction.objectStore('projects');
-                const req = store.getAll();
-                
-                req.onsuccess = () => {
-                    const projects = req.result;
-                    console.log('=== ALL PROJECTS IN INDEXEDDB ===');
-                    projects.forEach(p => {
-                        console.log({
-                            id: p.id,
-                            title: p.title,
-                            artist: p.artist,
-                            gpFileName: p.gpFileName,
-                            audioFileName: p.audioFileName,
-                            hasGpFileData: !!p.gpFileData,
-                            gpFileDataLength: p.gpFileData?.length || 0,
-                            hasAudioFileData: !!p.audioFileData,
-                            audioFileDataLength: p.audioFileData?.length || 0,
-                            markersCount: p.markers?.length || 0,
-                            totalBars: p.totalBars,
-                            createdAt: p.createdAt,
-                            updatedAt: p.updatedAt
-                        });
-                    });
-                    console.log('=================================');
-                    resolve(projects);
-                };
-                req.onerror = () => reject(req.error);
-            };
-            request.onerror = () => reject(request.error);
+            const req = db.transaction(['media'], 'readonly').objectStore('media').get(key);
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    },
+    
+    /**
+     * Delete a project and its files.
+     */
+    async deleteProject(id) {
+        const db = await this.openDatabase();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['projects', 'media'], 'readwrite');
+            transaction.objectStore('projects').delete(id);
+            this.MEDIA_SLOTS.forEach(slot => transaction.objectStore('media').delete(`${id}:${slot}`));
+            transaction.oncomplete = () => resolve();
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+    
+    /**
+     * Put a project from a backup ({ project, gpBlob, audioBlob, coverBlob },
+     * see LibraryBackup) into the library, timestamps and all. 'overwrite'
+     * replaces the project with the same id; 'keep-both' adds it under a
+     * new id. Resolves to the project record.
+     */
+    async restoreProject({ project: restored, ...blobs }, action = 'overwrite') {
+        const db = await this.openDatabase();
+        const project = { ...restored, media: { gp: null, audio: null, cover: null } };
+        if (action === 'keep-both') {
+            project.id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+            project.title = `${restored.title} (Restored)`;
+        }
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['projects', 'media'], 'readwrite');
+            const media = transaction.objectStore('media');
+            
+            this.MEDIA_SLOTS.forEach(slot => {
+                const key = `${project.id}:${slot}`;
+                const blob = blobs[`${slot}Blob`];
+                if (blob) {
+                    media.put(blob, key);
+                    project.media[slot] = { key, size: blob.size };
+                } else {
+                    media.delete(key);
+                }
+            });
+            transaction.objectStore('projects').put(project);
+            
+            transaction.oncomplete = () => resolve(project);
+            transaction.onabort = () => reject(transaction.error);
         });
     },
     
-    fileToBase64(file) {
+    // Bytes a project's files take up
+    mediaSize(project) {
+        return this.MEDIA_SLOTS.reduce((size, slot) => size + (project.media?.[slot]?.size || 0), 0);
+    },
+    
+    // Debug function - call from console: TabLibrary.debugAllProjects()
+    async debugAllProjects() {
+        const db = await this.openDatabase();
+        
         return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => {
-                const base64 = reader.result.split(',')[1];
-                resolve(base64);
+            const transaction = db.transaction(['projects'], 'readonly');
+            const store = transaction.objectStore('projects');
+            const req = store.getAll();
+            
+            req.onsuccess = () => {
+                const projects = req.result;
+                console.log('=== ALL PROJECTS IN INDEXEDDB ===');
+                projects.forEach(p => {
+                    console.log({
+                        id: p.id,
+                        title: p.title,
+                        artist: p.artist,
+                        gpFileName: p.gpFileName,
+                        audioFileName: p.audioFileName,
+                        gpFileSize: p.media?.gp?.size || 0,
+                        audioFileSize: p.media?.audio?.size || 0,
+                        coverFileSize: p.media?.cover?.size || 0,
+                        markersCount: p.markers?.length || 0,
+                        totalBars: p.totalBars,
+                        createdAt: p.createdAt,
+                        updatedAt: p.updatedAt
+                    });
+                });
+                console.log('=================================');
+                resolve(projects);
             };
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
+            req.onerror = () => reject(req.error);
         });
     },
     
@@ -786,13 +1157,172 @@ window.TabLibrary = {
         return new Blob([array], { type });
     },
     
-    base64ToArrayBuffer(base64) {
-        const binary = atob(base64);
-        const array = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            array[i] = binary.charCodeAt(i);
+    /**
+     * A library project, as returned by loadProject, as a .tabpack Blob
+     * (needs tabsync.js and tabpack.js).
+     */
+    async packProject(project) {
+        if (!project.gpBlob || !project.audioBlob) {
+            throw new Error('The project is missing its Guitar Pro file or recording');
+        }
+        const mediaType = project.mediaType || this.mediaTypeOf(project.audioFileName);
+        const toFile = (blob, name, type) => new File([blob], name, { type: blob.type || type });
+        
+        return window.TabPack.create({
+            syncData: {
+                title: project.title,
+                artist: project.artist,
+                mediaType,
+                totalBars: project.totalBars,
+                markers: project.markers,
+                beats: project.beats || [],
+                tapLatency: project.tapLatency ?? undefined,
+                createdAt: project.createdAt,
+                exportedAt: new Date().toISOString()
+            },
+            gp: toFile(project.gpBlob, project.gpFileName || 'song.gp', 'application/octet-stream'),
+            media: toFile(project.audioBlob, project.audioFileName || 'recording.mp3', this.mimeTypeOf(project.audioFileName)),
+            cover: project.coverBlob ? toFile(project.coverBlob, project.coverFileName, window.TabPack.typeOf(project.coverFileName)) : null,
+            notes: project.notes || ''
+        });
+    },
+    
+    /**
+     * Add a .tabpack to the library as a new project (see importProject).
+     */
+    async importTabPack(file, confirmWarnings) {
+        const pack = await window.TabPack.open(file);
+        return this.importProject({
+            ...pack,
+            syncData: {
+                ...pack.syncData,
+                title: pack.syncData.title || pack.manifest.title,
+                artist: pack.syncData.artist || pack.manifest.artist
+            }
+        }, confirmWarnings);
+    },
+    
+    /**
+     * Add a .tabsync to the library, with the tab and recording it names
+     * found among `files` by name (see TabSync.matchFiles).
+     */
+    async importSyncFile(syncFile, files, confirmWarnings) {
+        let raw;
+        try {
+            raw = JSON.parse(await syncFile.text());
+        } catch (e) {
+            throw new Error('not a valid sync file');
+        }
+        if (!raw || !Array.isArray(raw.markers)) throw new Error('no sync markers in this file');
+        
+        const syncData = window.TabSync.normalize(raw);
+        const { gp, audio } = window.TabSync.matchFiles(files, syncData);
+        if (!gp) throw new Error(`missing its Guitar Pro file${syncData.gpFile ? ` (${window.TabSync.fileNameOf(syncData.gpFile)})` : ''}`);
+        if (!audio) throw new Error(`missing its recording${syncData.audioFile ? ` (${window.TabSync.fileNameOf(syncData.audioFile)})` : ''}`);
+        
+        return this.importProject({ syncData, gp, media: audio }, confirmWarnings);
+    },
+    
+    /**
+     * Check the markers against the tab and save a new project. Files that
+     * don't belong together are refused; for lesser problems
+     * `confirmWarnings(warnings)` decides (false skips the import and
+     * resolves to null). Returns the saved project.
+     */
+    async importProject({ syncData, gp, media, cover = null, notes = '' }, confirmWarnings = () => true) {
+        const barCount = await this.countBars(gp);
+        const { errors, warnings } = this.checkMarkers(syncData, barCount);
+        if (errors.length > 0) throw new Error(errors.join(' '));
+        if (warnings.length > 0 && !confirmWarnings(warnings)) return null;
+        
+        return this.saveToLibrary({
+            title: syncData.title,
+            artist: syncData.artist,
+            gpFileName: gp.name,
+            audioFileName: media.name,
+            mediaType: syncData.mediaType || this.mediaTypeOf(media.name, media.type),
+            gpBlob: gp,
+            audioBlob: media,
+            coverFileName: cover ? cover.name : null,
+            coverBlob: cover,
+            notes,
+            markers: syncData.markers,
+            beats: syncData.beats,
+            tapLatency: syncData.tapLatency ?? null,
+            totalBars: syncData.totalBars || barCount,
+            createdAt: syncData.createdAt
+        });
+    },
+    
+    /**
+     * Bars in a Guitar Pro file as written (repeats not unrolled).
+     * Needs alphaTab on the page.
+     */
+    async countBars(gpFile) {
+        let score;
+        try {
+            score = window.alphaTab.importer.ScoreLoader.loadScoreFromBytes(new Uint8Array(await gpFile.arrayBuffer()));
+        } catch (e) {
+            throw new Error(`${gpFile.name} is not a readable Guitar Pro file`);
+        }
+        return score.masterBars.length;
+    },
+    
+    /**
+     * Compare a sync's markers with the bar count of its tab. Markers past
+     * the last bar mean the wrong tab (errors); counts that don't add up
+     * are worth a look but may be fine (warnings).
+     */
+    checkMarkers(syncData, barCount) {
+        const errors = [];
+        const warnings = [];
+        
+        const outside = [...syncData.markers, ...syncData.beats].filter(m => m.bar < 1 || m.bar > barCount);
+        if (outside.length > 0) {
+            const lastBar = Math.max(...outside.map(m => m.bar));
+            errors.push(`The markers go up to bar ${lastBar} but the tab has ${barCount} bars - is it the right Guitar Pro file?`);
+        }
+        
+        // totalBars counts played bars, so repeats make it larger than the tab
+        const played = syncData.totalBars || barCount;
+        if (played < barCount) {
+            warnings.push(`The sync file was made for ${played} bars but the tab has ${barCount}.`);
+        }
+        if (syncData.markers.length > played) {
+            warnings.push(`There are ${syncData.markers.length} bar markers for ${played} played bars.`);
+        }
+        if (syncData.markers.length === 0) {
+            warnings.push('The sync file has no markers yet.');
         }
-        return array.buffer;
+        
+        return { errors, warnings };
+    },
+    
+    // The recording may be audio or a video (lessons, live performances)
+    MEDIA_TYPES: {
+        mp3: 'audio/mpeg',
+        wav: 'audio/wav',
+        ogg: 'audio/ogg',
+        m4a: 'audio/mp4',
+        flac: 'audio/flac',
+        mp4: 'video/mp4',
+        m4v: 'video/mp4',
+        webm: 'video/webm',
+        mov: 'video/quicktime'
+    },
+    
+    mimeTypeOf(fileName) {
+        const extension = (fileName || '').split('.').pop().toLowerCase();
+        return this.MEDIA_TYPES[extension] || 'audio/mpeg';
+    },
+    
+    /**
+     * 'video' or 'audio', from the file's MIME type when known (File.type),
+     * otherwise from its extension.
+     */
+    mediaTypeOf(fileName, mimeType = '') {
+        const type = mimeType || this.mimeTypeOf(fileName);
+        return type.startsWith('video/') ? 'video' : 'audio';
     }
 };
 
@@ -0,0 +1,61 @@
+/**
+ * Output Latency
+ * How long audio takes from the AudioContext clock to the listener's ears,
+ * so the synced players draw the cursor at what is being heard. Starts from
+ * what the browser reports and adds a per-device correction the user
+ * calibrates (Bluetooth headphones are often off by a few hundred ms).
+ */
+
+window.OutputLatency = {
+    STORAGE_KEY: 'tabplayer-output-latency',
+
+    // Calibrated correction in seconds (null until loaded)
+    adjustment: null,
+
+    getAdjustment() {
+        if (this.adjustment === null) {
+            try {
+                const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+                this.adjustment = saved && typeof saved.adjustment === 'number' ? saved.adjustment : 0;
+            } catch (e) {
+                this.adjustment = 0;
+            }
+        }
+        return this.adjustment;
+    },
+
+    saveAdjustment(adjustment) {
+        this.adjustment = adjustment;
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify({
+                adjustment,
+                measuredAt: new Date().toISOString()
+            }));
+        } catch (e) {
+            console.error('Failed to save output latency:', e);
+        }
+    },
+
+    /**
+     * Latency the browser reports for a context (0 where it doesn't).
+     */
+    measure(audioContext) {
+        if (!audioContext) return 0;
+        return (audioContext.outputLatency || 0) + (audioContext.baseLatency || 0);
+    },
+
+    /**
+     * Seconds of real time between the context clock and the speakers.
+     * Read it every frame - it changes when the output device does.
+     */
+    get(audioContext) {
+        return Math.max(0, this.measure(audioContext) + this.getAdjustment());
+    }
+};
+
+// Calibrating in another tab applies here too
+window.addEventListener('storage', (e) => {
+    if (e.key === window.OutputLatency.STORAGE_KEY) {
+        window.OutputLatency.adjustment = null;
+    }
+});
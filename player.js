@@ -19,12 +19,24 @@ class TabPlayer {
         this.loopEndTick = 0;
         this.isSeamlessLooping = false;
         this.loopJumpPending = false;
+        // Last playback tick seen, null after a seek (see onPositionChanged)
+        this.lastTick = null;
+        
+        // Speed trainer: running state (null when off), settings stored per file
+        this.trainer = null;
+        this.fileKey = null;
+        
+        // Loaded with ?file=, and the position etc. requested in the URL
+        this.fileUrl = null;
+        this.deepLink = window.DeepLink.parse();
         
         // DOM Elements
         this.elements = {
             container: document.getElementById('alphaTab'),
             welcomeScreen: document.getElementById('welcomeScreen'),
             fileInput: document.getElementById('fileInput'),
+            copyLinkBtn: document.getElementById('copyLinkBtn'),
+            copyLinkLabel: document.getElementById('copyLinkLabel'),
             trackTitle: document.getElementById('trackTitle'),
             trackArtist: document.getElementById('trackArtist'),
             trackList: document.getElementById('trackList'),
@@ -40,7 +52,18 @@ class TabPlayer {
             progressFill: document.getElementById('progressFill'),
             progressCursor: document.getElementById('progressCursor'),
             progressBar: document.getElementById('progressBar'),
-            loadingOverlay: document.getElementById('loadingOverlay')
+            loadingOverlay: document.getElementById('loadingOverlay'),
+            
+            // Speed trainer
+            trainerBtn: document.getElementById('trainerBtn'),
+            trainerPanel: document.getElementById('trainerPanel'),
+            trainerStart: document.getElementById('trainerStart'),
+            trainerTarget: document.getElementById('trainerTarget'),
+            trainerIncrement: document.getElementById('trainerIncrement'),
+            trainerReps: document.getElementById('trainerReps'),
+            trainerOnTarget: document.getElementById('trainerOnTarget'),
+            trainerToggleBtn: document.getElementById('trainerToggleBtn'),
+            trainerStatus: document.getElementById('trainerStatus')
         };
         
         this.init();
@@ -49,6 +72,19 @@ class TabPlayer {
     init() {
         this.initAlphaTab();
         this.bindEvents();
+        this.loadFromUrl();
+    }
+    
+    // player.html?file=URL opens a GP file from the web (needed for links)
+    loadFromUrl() {
+        const fileUrl = new URLSearchParams(window.location.search).get('file');
+        if (!fileUrl) return;
+        
+        this.showLoading();
+        this.fileUrl = fileUrl;
+        this.fileKey = `tab:${fileUrl.split('/').pop()}`;
+        window.SpeedTrainer.fillForm(this.elements, window.SpeedTrainer.loadSettings(this.fileKey));
+        this.api.load(fileUrl);
     }
     
     initAlphaTab() {
@@ -110,6 +146,7 @@ class TabPlayer {
             // Enable metronome by default
             this.api.metronomeVolume = 1;
             this.elements.metronomeBtn.classList.add('active');
+            this.applyDeepLink();
         });
         
         this.api.playerStateChanged.on((args) => {
@@ -126,6 +163,12 @@ class TabPlayer {
         
         this.api.renderFinished.on(() => {
             this.hideLoading();
+            this.applyDeepLink();
+        });
+        
+        // Clicking the score moves the cursor - a seek, not a loop pass
+        this.api.beatMouseDown.on(() => {
+            this.lastTick = null;
         });
         
         // Listen for beat/bar selection changes
@@ -174,6 +217,8 @@ class TabPlayer {
             this.loadFile(e.target.files[0]);
         });
         
+        this.elements.copyLinkBtn.addEventListener('click', () => this.copyLink());
+        
         // Playback controls
         this.elements.playPauseBtn.addEventListener('click', () => this.togglePlayPause());
         this.elements.stopBtn.addEventListener('click', () => this.stop());
@@ -182,11 +227,16 @@ class TabPlayer {
         
         // Tempo slider
         this.elements.tempoSlider.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value);
-            this.elements.tempoValue.textContent = `${value}%`;
-            this.api.playbackSpeed = value / 100;
+            this.setSpeed(parseInt(e.target.value));
         });
         
+        // Speed trainer
+        window.SpeedTrainer.fillForm(this.elements, window.SpeedTrainer.DEFAULTS);
+        this.elements.trainerBtn.addEventListener('click', () => {
+            this.elements.trainerPanel.classList.toggle('visible');
+        });
+        this.elements.trainerToggleBtn.addEventListener('click', () => this.toggleTrainer());
+        
         // Volume slider
         this.elements.volumeSlider.addEventListener('input', (e) => {
             const value = parseInt(e.target.value);
@@ -199,12 +249,12 @@ class TabPlayer {
             const rect = this.elements.progressBar.getBoundingClientRect();
             const percent = (e.clientX - rect.left) / rect.width;
             const tick = Math.floor(this.api.tickCache.masterBars[this.api.tickCache.masterBars.length - 1].end * percent);
-            this.api.tickPosition = tick;
+            this.seek(tick);
         });
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
-            if (e.target.tagName === 'INPUT') return;
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
             
             switch(e.code) {
                 case 'Space':
@@ -254,6 +304,12 @@ class TabPlayer {
         
         this.showLoading();
         
+        // Trainer settings are remembered per file
+        this.stopTrainer();
+        this.fileKey = `tab:${file.name}`;
+        this.fileUrl = null;
+        window.SpeedTrainer.fillForm(this.elements, window.SpeedTrainer.loadSettings(this.fileKey));
+        
         const reader = new FileReader();
         reader.onload = (e) => {
             const data = new Uint8Array(e.target.result);
@@ -281,6 +337,7 @@ class TabPlayer {
         
         // Populate track list
         this.populateTrackList(score.tracks);
+        this.elements.copyLinkBtn.disabled = false;
     }
     
     populateTrackList(tracks) {
@@ -536,6 +593,141 @@ class TabPlayer {
         this.elements.loopBtn.classList.remove('active');
     }
     
+    setSpeed(percent) {
+        this.elements.tempoSlider.value = percent;
+        this.elements.tempoValue.textContent = `${percent}%`;
+        this.api.playbackSpeed = percent / 100;
+    }
+    
+    // ==========================================
+    // Deep Links
+    // ==========================================
+    
+    /**
+     * Go to the bar, loop, speed and track from the page URL once the score
+     * is rendered and the synth is ready; runs once.
+     */
+    applyDeepLink() {
+        const link = this.deepLink;
+        if (window.DeepLink.isEmpty(link) || !this.currentScore || !this.api.tickCache || !this.api.isReadyForPlayback) return;
+        this.deepLink = null;
+        
+        if (link.track !== undefined && this.currentScore.tracks[link.track]) {
+            this.selectTrack(link.track);
+        }
+        if (link.speed) {
+            const slider = this.elements.tempoSlider;
+            this.setSpeed(Math.max(parseInt(slider.min), Math.min(parseInt(slider.max), link.speed)));
+        }
+        
+        const slots = window.DeepLink.slotsOf(this.api);
+        if (link.loop) {
+            const bars = window.DeepLink.findBars(slots, link.loop.start, link.loop.end);
+            if (bars) {
+                const playbackRange = { startTick: slots[bars.first].start, endTick: slots[bars.last].end };
+                this.api.playbackRange = playbackRange;
+                this.onPlaybackRangeChanged({ playbackRange });
+                this.seek(playbackRange.startTick);
+            }
+        }
+        if (link.bar) {
+            const bars = window.DeepLink.findBars(slots, link.bar);
+            if (bars) this.seek(slots[bars.first].start);
+        } else if (link.time !== undefined) {
+            this.lastTick = null;
+            this.api.timePosition = link.time * 1000;
+        }
+        
+        if (link.autoplay && window.DeepLink.autoplayAllowed()) {
+            this.api.play();
+        }
+    }
+    
+    copyLink() {
+        if (!this.fileUrl) {
+            alert('Links need a file opened from the web (player.html?file=URL). Files opened from your computer can\'t be linked to.');
+            return;
+        }
+        
+        // Bar under the cursor, and the selected loop as bar numbers
+        const slots = window.DeepLink.slotsOf(this.api);
+        const barAt = (tick) => {
+            const slot = slots.find(s => tick >= s.start && tick < s.end);
+            return slot ? slot.bar : 1;
+        };
+        const loop = this.hasSelection ? { start: barAt(this.loopStartTick), end: barAt(this.loopEndTick - 1) } : null;
+        
+        const url = window.DeepLink.build({
+            bar: barAt(this.api.tickPosition),
+            loop,
+            speed: parseInt(this.elements.tempoSlider.value),
+            track: this.api.tracks.length > 0 ? this.api.tracks[0].index : 0
+        });
+        
+        window.DeepLink.copy(url).then(() => {
+            this.elements.copyLinkBtn.classList.add('copied');
+            this.elements.copyLinkLabel.textContent = 'Copied!';
+            setTimeout(() => {
+                this.elements.copyLinkBtn.classList.remove('copied');
+                this.elements.copyLinkLabel.textContent = 'Copy Link';
+            }, 1500);
+        }).catch(() => {
+            prompt('Copy this link:', url);
+        });
+    }
+    
+    // ==========================================
+    // Speed Trainer
+    // ==========================================
+    
+    toggleTrainer() {
+        if (this.trainer) {
+            this.stopTrainer();
+            return;
+        }
+        
+        const settings = window.SpeedTrainer.readForm(this.elements);
+        if (this.fileKey) {
+            window.SpeedTrainer.saveSettings(this.fileKey, settings);
+        }
+        
+        const slider = this.elements.tempoSlider;
+        this.trainer = window.SpeedTrainer.create(settings, { min: parseInt(slider.min), max: parseInt(slider.max) });
+        this.setSpeed(this.trainer.speed);
+        
+        // The trainer steps up on every loop
+        if (!this.isLooping) {
+            this.toggleLoop();
+        }
+        
+        this.elements.trainerPanel.classList.remove('visible');
+        this.updateTrainerDisplay();
+    }
+    
+    stopTrainer() {
+        this.trainer = null;
+        this.updateTrainerDisplay();
+    }
+    
+    onLoopWrap() {
+        if (!this.trainer) return;
+        
+        const result = window.SpeedTrainer.advance(this.trainer);
+        if (result === 'step') {
+            this.setSpeed(this.trainer.speed);
+        } else if (result === 'stop') {
+            this.api.pause();
+        }
+        this.updateTrainerDisplay();
+    }
+    
+    updateTrainerDisplay() {
+        const running = !!this.trainer;
+        this.elements.trainerBtn.classList.toggle('active', running);
+        this.elements.trainerToggleBtn.textContent = running ? 'Stop Trainer' : 'Start Trainer';
+        this.elements.trainerStatus.textContent = running ? window.SpeedTrainer.describe(this.trainer) : '';
+    }
+    
     toggleMetronome() {
         this.isMetronomeEnabled = !this.isMetronomeEnabled;
         this.api.metronomeVolume = this.isMetronomeEnabled ? 1 : 0;
@@ -566,6 +758,18 @@ class TabPlayer {
         this.elements.progressFill.style.width = `${percent}%`;
         this.elements.progressCursor.style.left = `${percent}%`;
         
+        // alphaTab's own whole-song loop jumps from the last bar back into
+        // the first. Seeks clear lastTick, so moving back by hand (even from
+        // the last bar to the first) never counts as a pass.
+        const lastTick = this.lastTick;
+        this.lastTick = args.currentTick;
+        const masterBars = this.api.tickCache && this.api.tickCache.masterBars;
+        if (!this.isSeamlessLooping && this.isLooping && this.isPlaying && lastTick !== null &&
+            masterBars && masterBars.length > 0 && args.currentTick < lastTick &&
+            lastTick >= masterBars[masterBars.length - 1].start && args.currentTick < masterBars[0].end) {
+            this.onLoopWrap();
+        }
+        
         // Handle seamless looping
         if (this.isSeamlessLooping && this.isPlaying && this.isLooping && !this.loopJumpPending) {
             const currentTick = args.currentTick;
@@ -581,7 +785,8 @@ class TabPlayer {
                 this.loopJumpPending = true;
                 
                 // Jump back to loop start
-                this.api.tickPosition = this.loopStartTick;
+                this.seek(this.loopStartTick);
+                this.onLoopWrap();
                 
                 // Reset flag after a short delay
                 setTimeout(() => {
@@ -591,6 +796,15 @@ class TabPlayer {
         }
     }
     
+    /**
+     * Move the playback position. Use this rather than setting tickPosition
+     * so the jump isn't taken for alphaTab looping back to the start.
+     */
+    seek(tick) {
+        this.lastTick = null;
+        this.api.tickPosition = tick;
+    }
+    
     formatTime(seconds) {
         const mins = Math.floor(seconds / 60);
         const secs = Math.floor(seconds % 60);
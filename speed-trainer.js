@@ -0,0 +1,106 @@
+/**
+ * Speed Trainer
+ * Raises the practice tempo step by step each time the loop comes around.
+ * Shared by the MIDI Player and the Synced Player; settings are remembered
+ * per file in localStorage.
+ */
+
+window.SpeedTrainer = {
+    STORAGE_KEY: 'tabplayer-speed-trainer',
+
+    // Speeds in percent; onTarget is 'hold' (keep looping) or 'stop'
+    DEFAULTS: { start: 60, target: 100, increment: 5, reps: 2, onTarget: 'hold' },
+
+    loadSettings(fileKey) {
+        try {
+            const all = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+            return { ...this.DEFAULTS, ...(all[fileKey] || {}) };
+        } catch (e) {
+            return { ...this.DEFAULTS };
+        }
+    },
+
+    saveSettings(fileKey, settings) {
+        try {
+            const all = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+            all[fileKey] = settings;
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(all));
+        } catch (e) {
+            console.error('Failed to save speed trainer settings:', e);
+        }
+    },
+
+    /**
+     * Start a run. `limits` are the player's speed slider bounds.
+     * Returns the trainer state: { settings, speed, rep, step, steps, done }.
+     */
+    create(settings, limits = { min: 25, max: 200 }) {
+        const clamp = (value) => Math.max(limits.min, Math.min(limits.max, Math.round(value)));
+        const start = clamp(settings.start);
+        const target = clamp(settings.target);
+        const increment = Math.max(1, Math.round(Math.abs(settings.increment)) || 1);
+        const reps = Math.max(1, Math.round(settings.reps) || 1);
+
+        return {
+            settings: { start, target, increment, reps, onTarget: settings.onTarget === 'stop' ? 'stop' : 'hold' },
+            speed: start,
+            rep: 1,
+            step: 1,
+            steps: Math.ceil(Math.abs(target - start) / increment) + 1,
+            done: false
+        };
+    },
+
+    /**
+     * Count one pass through the loop. Returns 'rep' (same speed again),
+     * 'step' (speed changed), 'hold' or 'stop' (target reached).
+     */
+    advance(state) {
+        const { target, increment, reps, onTarget } = state.settings;
+
+        if (state.done) return 'hold';
+        if (state.rep < reps) {
+            state.rep++;
+            return 'rep';
+        }
+
+        if (state.speed === target) {
+            state.done = true;
+            return onTarget;
+        }
+
+        // Works for slowing down too (target below start)
+        const direction = target > state.speed ? 1 : -1;
+        const next = state.speed + direction * increment;
+        state.speed = direction > 0 ? Math.min(next, target) : Math.max(next, target);
+        state.rep = 1;
+        state.step++;
+        return 'step';
+    },
+
+    describe(state) {
+        if (state.done) {
+            return `Trainer: target ${state.speed}% reached`;
+        }
+        return `Trainer: ${state.speed}% · step ${state.step}/${state.steps} · rep ${state.rep}/${state.settings.reps}`;
+    },
+
+    // Settings form shared by both players (see the trainer panel markup)
+    readForm(elements) {
+        return {
+            start: parseInt(elements.trainerStart.value) || this.DEFAULTS.start,
+            target: parseInt(elements.trainerTarget.value) || this.DEFAULTS.target,
+            increment: parseInt(elements.trainerIncrement.value) || this.DEFAULTS.increment,
+            reps: parseInt(elements.trainerReps.value) || this.DEFAULTS.reps,
+            onTarget: elements.trainerOnTarget.value
+        };
+    },
+
+    fillForm(elements, settings) {
+        elements.trainerStart.value = settings.start;
+        elements.trainerTarget.value = settings.target;
+        elements.trainerIncrement.value = settings.increment;
+        elements.trainerReps.value = settings.reps;
+        elements.trainerOnTarget.value = settings.onTarget;
+    }
+};
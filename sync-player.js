@@ -10,26 +10,71 @@ class SyncedPlayer {
         this.audioBuffer = null;
         this.audioSource = null;
         this.gainNode = null;
+        // Long recordings stream from an <audio> element through the graph
+        // instead of being decoded into an AudioBuffer all at once
+        this.mediaElement = null;
+        this.mediaNode = null;
+        this.streamTimer = null;
+        this.streamingSizeLimit = 50 * 1024 * 1024; // bytes
+        this.streamingDurationLimit = 8 * 60; // seconds
+        this.timeStretch = null; // pitch correction node, null = plain playbackRate
+        this.playingThroughStretch = false;
+        
+        // Click track: beats from the sync markers, clicks on the audio clock
+        this.clickTrack = null;
+        this.clickBeats = [];
+        this.clickEnabled = false;
+        this.clickVolume = 0.7;
+        this.countIn = true;
+        
+        // Synth blend: alphaTab's synthesizer under the recording, its tempo
+        // warped bar by bar to follow the markers. synthMix 0 = recording only.
+        this.synthMix = 0;
+        this.synthReady = false;
+        this.synthPlaying = false;
+        this.synthWarp = []; // tempo factor per playback position
         
         this.score = null;
         this.syncData = null;
         this.gpFile = null;
         this.gpFileData = null;
         this.audioFile = null;
-        this.audioFileData = null;
         
         // Playback state
         this.isPlaying = false;
         this.isLooping = false;
+        // A-B loop: playback positions { start, end } (inclusive), null = whole track
+        this.loopRange = null;
+        this.activeLoop = null; // loop points of the playing source
+        this.appliedPlaybackRange = null; // last range we handed to alphaTab
+        this.progressDrag = null;
+        this.pressedBeat = null; // beat under the pointer in the notation
+        
+        // Output latency calibration: its own context playing clicks
+        this.latencyCalibration = null;
+        this.calibrationInterval = 0.75; // seconds between clicks
+        
+        // Speed trainer: running state (null when off), settings stored per project
+        this.trainer = null;
+        this.projectId = null;
+        
+        // Where the .tabsync was fetched from (?sync=URL); referenced files resolve against it
+        this.syncUrl = null;
+        
+        // Position, loop, speed and track requested in the URL, applied once loaded
+        this.deepLink = null;
         this.currentTime = 0;
         this.duration = 0;
         this.playbackRate = 1.0;
         this.volume = 0.8;
+        // The audio position is startOffset + (now - startedAt) * playbackRate
         this.startedAt = 0;
+        this.startOffset = 0;
         this.pausedAt = 0;
         
-        // Animation frame for updates
+        // Animation frame for updates, and the loop it runs
         this.animationFrame = null;
+        this.updateLoop = null;
         
         // Current bar tracking
         this.currentBar = 0;
@@ -38,10 +83,7 @@ class SyncedPlayer {
         // Tick cache for cursor positioning
         this.barTickMap = []; // Maps bar number to {startTick, endTick}
         
-        // Sync offset - delay notation slightly so it doesn't appear ahead of audio
-        // Negative value = notation is delayed (behind audio)
-        this.notationOffset = -0.15; // 150ms delay
-        
+
         // DOM Elements
         this.elements = {
             // File inputs
@@ -57,6 +99,15 @@ class SyncedPlayer {
             gpStatus: document.getElementById('gpStatus'),
             audioStatus: document.getElementById('audioStatus'),
             startPlaybackBtn: document.getElementById('startPlaybackBtn'),
+            copyLinkBtn: document.getElementById('copyLinkBtn'),
+            copyLinkLabel: document.getElementById('copyLinkLabel'),
+            
+            // Video pane
+            videoPane: document.getElementById('videoPane'),
+            videoPaneResizer: document.getElementById('videoPaneResizer'),
+            videoContainer: document.getElementById('videoContainer'),
+            videoPipBtn: document.getElementById('videoPipBtn'),
+            videoHideBtn: document.getElementById('videoHideBtn'),
             
             // Track info
             trackTitle: document.getElementById('trackTitle'),
@@ -77,6 +128,9 @@ class SyncedPlayer {
             prevBarBtn: document.getElementById('prevBarBtn'),
             nextBarBtn: document.getElementById('nextBarBtn'),
             loopBtn: document.getElementById('loopBtn'),
+            clickBtn: document.getElementById('clickBtn'),
+            countInBtn: document.getElementById('countInBtn'),
+            clickVolumeSlider: document.getElementById('clickVolumeSlider'),
             
             // Time & progress
             currentTime: document.getElementById('currentTime'),
@@ -90,10 +144,33 @@ class SyncedPlayer {
             tempoSlider: document.getElementById('tempoSlider'),
             tempoValue: document.getElementById('tempoValue'),
             volumeSlider: document.getElementById('volumeSlider'),
+            mixSlider: document.getElementById('mixSlider'),
             
             // Badge
             audioSourceBadge: document.getElementById('audioSourceBadge'),
             
+            // Speed trainer
+            trainerBtn: document.getElementById('trainerBtn'),
+            trainerPanel: document.getElementById('trainerPanel'),
+            trainerStart: document.getElementById('trainerStart'),
+            trainerTarget: document.getElementById('trainerTarget'),
+            trainerIncrement: document.getElementById('trainerIncrement'),
+            trainerReps: document.getElementById('trainerReps'),
+            trainerOnTarget: document.getElementById('trainerOnTarget'),
+            trainerToggleBtn: document.getElementById('trainerToggleBtn'),
+            trainerStatus: document.getElementById('trainerStatus'),
+            
+            // Output latency calibration
+            latencyBtn: document.getElementById('latencyBtn'),
+            latencyValue: document.getElementById('latencyValue'),
+            latencyModal: document.getElementById('latencyModal'),
+            closeLatencyModal: document.getElementById('closeLatencyModal'),
+            latencyFlash: document.getElementById('latencyFlash'),
+            latencySlider: document.getElementById('latencySlider'),
+            latencyStatus: document.getElementById('latencyStatus'),
+            resetLatencyBtn: document.getElementById('resetLatencyBtn'),
+            saveLatencyBtn: document.getElementById('saveLatencyBtn'),
+            
             // Loading
             loadingOverlay: document.getElementById('loadingOverlay'),
             loadingText: document.getElementById('loadingText')
@@ -104,7 +181,9 @@ class SyncedPlayer {
     
     init() {
         this.bindEvents();
+        this.updateLatencyButton();
         this.checkForLibraryProject();
+        this.loadSyncFromUrl();
     }
     
     async checkForLibraryProject() {
@@ -112,6 +191,9 @@ class SyncedPlayer {
         const urlParams = new URLSearchParams(window.location.search);
         const projectId = urlParams.get('project');
         
+        // Read before the URL is cleaned below; loose files can use them too
+        this.deepLink = window.DeepLink.parse(window.location.search);
+        
         if (!projectId) return;
         
         this.showLoading('Loading project from library...');
@@ -125,14 +207,16 @@ class SyncedPlayer {
                 alert('Project not found in library.');
                 return;
             }
+            this.projectId = project.id;
             
             // Set sync data
-            this.syncData = {
+            this.syncData = window.TabSync.normalize({
                 title: project.title,
                 artist: project.artist,
                 markers: project.markers,
+                beats: project.beats,
                 totalBars: project.totalBars
-            };
+            });
             
             // Mark sync as loaded
             this.elements.syncStatus.textContent = '✓ Loaded';
@@ -140,17 +224,17 @@ class SyncedPlayer {
             this.elements.syncUploadCard.classList.add('loaded');
             
             // Load GP file
-            if (project.gpFileData) {
-                const gpArrayBuffer = this.base64ToArrayBuffer(project.gpFileData);
-                this.gpFileData = new Uint8Array(gpArrayBuffer);
+            if (project.gpBlob) {
+                this.gpFileData = new Uint8Array(await project.gpBlob.arrayBuffer());
                 this.elements.gpStatus.textContent = '✓ Loaded';
                 this.elements.gpStatus.classList.add('loaded');
                 this.elements.gpUploadCard.classList.add('loaded');
             }
             
             // Load audio file
-            if (project.audioFileData) {
-                this.audioFileData = this.base64ToArrayBuffer(project.audioFileData);
+            if (project.audioBlob) {
+                const type = project.audioBlob.type || window.TabLibrary.mimeTypeOf(project.audioFileName);
+                this.audioFile = new Blob([project.audioBlob], { type });
                 this.elements.audioStatus.textContent = '✓ Loaded';
                 this.elements.audioStatus.classList.add('loaded');
                 this.elements.audioUploadCard.classList.add('loaded');
@@ -171,19 +255,10 @@ class SyncedPlayer {
         }
     }
     
-    base64ToArrayBuffer(base64) {
-        const binary = atob(base64);
-        const array = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            array[i] = binary.charCodeAt(i);
-        }
-        return array.buffer;
-    }
-    
     checkAllFilesReady() {
         const hasSync = this.syncData !== null;
         const hasGP = this.gpFileData !== null;
-        const hasAudio = this.audioFileData !== null;
+        const hasAudio = this.audioFile !== null;
         
         if (hasSync && hasGP && hasAudio) {
             this.elements.startPlaybackBtn.disabled = false;
@@ -192,8 +267,13 @@ class SyncedPlayer {
     
     bindEvents() {
         // File inputs
-        this.elements.syncFileInput.addEventListener('change', (e) => {
-            this.loadSyncFile(e.target.files[0]);
+        this.elements.syncFileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file && window.TabPack.isTabPack(file)) {
+                this.loadTabPack(file);
+            } else if (await this.loadSyncFile(file)) {
+                this.fetchReferencedFiles();
+            }
         });
         
         this.elements.gpFileInput.addEventListener('change', (e) => {
@@ -204,6 +284,22 @@ class SyncedPlayer {
             this.loadAudioFile(e.target.files[0]);
         });
         
+        // Drop a folder (or a few files) to pick the sync file, tab and recording by name
+        const welcomeScreen = this.elements.welcomeScreen;
+        welcomeScreen.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            welcomeScreen.classList.add('dragover');
+        });
+        welcomeScreen.addEventListener('dragleave', (e) => {
+            if (!welcomeScreen.contains(e.relatedTarget)) welcomeScreen.classList.remove('dragover');
+        });
+        welcomeScreen.addEventListener('drop', (e) => {
+            e.preventDefault();
+            welcomeScreen.classList.remove('dragover');
+            this.loadDroppedFiles(e.dataTransfer);
+        });
+        
         // Start playback button
         this.elements.startPlaybackBtn.addEventListener('click', () => {
             this.startPlayback();
@@ -216,36 +312,105 @@ class SyncedPlayer {
         this.elements.nextBarBtn.addEventListener('click', () => this.nextBar());
         this.elements.loopBtn.addEventListener('click', () => this.toggleLoop());
         
+        this.elements.copyLinkBtn.addEventListener('click', () => this.copyLink());
+        
+        // Video pane
+        this.elements.videoHideBtn.addEventListener('click', () => this.toggleVideoPane());
+        this.elements.videoPipBtn.addEventListener('click', () => this.togglePictureInPicture());
+        this.elements.videoPipBtn.style.display = document.pictureInPictureEnabled ? '' : 'none';
+        this.elements.videoPaneResizer.addEventListener('pointerdown', (e) => this.startVideoResize(e));
+        
+        // Click track
+        this.elements.clickBtn.addEventListener('click', () => this.toggleClick());
+        this.elements.countInBtn.addEventListener('click', () => {
+            this.countIn = !this.countIn;
+            this.elements.countInBtn.classList.toggle('active', this.countIn);
+        });
+        this.elements.clickVolumeSlider.addEventListener('input', (e) => {
+            this.clickVolume = parseInt(e.target.value) / 100;
+            if (this.clickTrack) {
+                window.ClickTrack.setVolume(this.clickTrack, this.clickVolume);
+            }
+        });
+        
         // Tempo slider
         this.elements.tempoSlider.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value);
-            this.playbackRate = value / 100;
-            this.elements.tempoValue.textContent = `${value}%`;
-            
-            if (this.audioSource) {
-                this.audioSource.playbackRate.value = this.playbackRate;
-            }
+            this.setSpeed(parseInt(e.target.value));
+        });
+        
+        // Speed trainer
+        window.SpeedTrainer.fillForm(this.elements, window.SpeedTrainer.DEFAULTS);
+        this.elements.trainerBtn.addEventListener('click', () => {
+            this.elements.trainerPanel.classList.toggle('visible');
+        });
+        this.elements.trainerToggleBtn.addEventListener('click', () => this.toggleTrainer());
+        
+        // Output latency calibration
+        this.elements.latencyBtn.addEventListener('click', () => this.showLatencyModal());
+        this.elements.closeLatencyModal.addEventListener('click', () => this.hideLatencyModal());
+        this.elements.latencySlider.addEventListener('input', () => this.updateLatencyStatus());
+        this.elements.resetLatencyBtn.addEventListener('click', () => {
+            this.elements.latencySlider.value = 0;
+            this.updateLatencyStatus();
+        });
+        this.elements.saveLatencyBtn.addEventListener('click', () => {
+            window.OutputLatency.saveAdjustment(parseInt(this.elements.latencySlider.value) / 1000);
+            this.updateLatencyButton();
+            this.hideLatencyModal();
         });
         
         // Volume slider
         this.elements.volumeSlider.addEventListener('input', (e) => {
             this.volume = parseInt(e.target.value) / 100;
-            if (this.gainNode) {
-                this.gainNode.gain.value = this.volume;
+            this.updateMixVolumes();
+        });
+        
+        // Crossfader between the recording and the synth
+        this.elements.mixSlider.addEventListener('input', (e) => {
+            this.synthMix = parseInt(e.target.value) / 100;
+            this.updateMixVolumes();
+        });
+        
+        // Progress bar: click to seek, drag to select a loop range
+        this.elements.progressBar.addEventListener('pointerdown', (e) => {
+            if (this.duration === 0 || e.button !== 0) return;
+            this.elements.progressBar.setPointerCapture(e.pointerId);
+            this.progressDrag = { startX: e.clientX, moved: false };
+        });
+        
+        this.elements.progressBar.addEventListener('pointermove', (e) => {
+            const drag = this.progressDrag;
+            if (!drag) return;
+            if (!drag.moved && Math.abs(e.clientX - drag.startX) < 4) return;
+            drag.moved = true;
+            this.renderLoopRegion(this.progressTimeAt(drag.startX), this.progressTimeAt(e.clientX));
+        });
+        
+        this.elements.progressBar.addEventListener('pointerup', (e) => {
+            const drag = this.progressDrag;
+            if (!drag) return;
+            this.progressDrag = null;
+            
+            if (drag.moved) {
+                this.setLoopFromTimes(this.progressTimeAt(drag.startX), this.progressTimeAt(e.clientX));
+            } else {
+                this.seekTo(this.progressTimeAt(e.clientX));
             }
         });
         
-        // Progress bar seeking
-        this.elements.progressBar.addEventListener('click', (e) => {
-            if (this.duration === 0) return;
-            const rect = this.elements.progressBar.getBoundingClientRect();
-            const percent = (e.clientX - rect.left) / rect.width;
-            this.seekTo(percent * this.duration);
+        this.elements.progressBar.addEventListener('pointercancel', () => {
+            this.progressDrag = null;
+            this.renderLoopRegion();
         });
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
-            if (e.target.tagName === 'INPUT') return;
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+            
+            if (this.latencyCalibration) {
+                if (e.code === 'Escape') this.hideLatencyModal();
+                return;
+            }
             
             switch(e.code) {
                 case 'Space':
@@ -264,7 +429,26 @@ class SyncedPlayer {
                     this.nextBar();
                     break;
                 case 'KeyL':
-                    this.toggleLoop();
+                    if (e.shiftKey) {
+                        this.clearLoopRange();
+                    } else {
+                        this.toggleLoop();
+                    }
+                    break;
+                case 'KeyM':
+                    this.toggleClick();
+                    break;
+                case 'KeyV':
+                    this.toggleVideoPane();
+                    break;
+                case 'BracketLeft':
+                    // [ / ] move the loop start, Shift+[ / Shift+] the loop end
+                    e.preventDefault();
+                    this.adjustLoopRange(e.shiftKey ? 'end' : 'start', -1);
+                    break;
+                case 'BracketRight':
+                    e.preventDefault();
+                    this.adjustLoopRange(e.shiftKey ? 'end' : 'start', 1);
                     break;
             }
         });
@@ -274,19 +458,145 @@ class SyncedPlayer {
     // File Loading
     // ==========================================
     
-    loadSyncFile(file) {
-        if (!file) return;
+    async loadSyncFile(file) {
+        if (!file) return false;
         
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                this.syncData = JSON.parse(e.target.result);
-                this.onSyncDataLoaded();
-            } catch (err) {
-                alert('Invalid sync file format');
+        try {
+            this.syncData = window.TabSync.normalize(JSON.parse(await file.text()));
+        } catch (err) {
+            alert('Invalid sync file format');
+            return false;
+        }
+        this.syncUrl = null;
+        this.onSyncDataLoaded();
+        return true;
+    }
+    
+    /**
+     * Open a .tabsync from the web (?sync=URL) and fetch the Guitar Pro
+     * file and recording it names, relative to the .tabsync's own URL.
+     */
+    async loadSyncFromUrl() {
+        const syncParam = new URLSearchParams(window.location.search).get('sync');
+        if (!syncParam) return;
+        
+        this.showLoading('Loading sync file...');
+        try {
+            const syncUrl = new URL(syncParam, window.location.href).href;
+            const response = await fetch(syncUrl);
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            const blob = await response.blob();
+            
+            // The link may just as well point at a whole .tabpack
+            if (await window.TabPack.isZip(blob)) {
+                if (await this.loadTabPack(blob)) this.syncUrl = syncUrl;
+                return;
             }
-        };
-        reader.readAsText(file);
+            this.syncData = window.TabSync.normalize(JSON.parse(await blob.text()));
+            this.syncUrl = syncUrl;
+        } catch (e) {
+            console.error('Failed to load sync file from URL:', e);
+            this.hideLoading();
+            alert(`Failed to load the sync file: ${syncParam}`);
+            return;
+        }
+        
+        this.onSyncDataLoaded();
+        await this.fetchReferencedFiles();
+    }
+    
+    /**
+     * Fetch the files the .tabsync names that haven't been picked yet.
+     * Relative names only resolve for a .tabsync opened from a URL; a local
+     * one can still point at absolute URLs. Anything that can't be fetched
+     * is left for the user to pick or drop.
+     */
+    async fetchReferencedFiles() {
+        if (!this.gpFile && !this.gpFileData) {
+            await this.fetchReferencedFile(this.syncData.gpFile, 'Loading Guitar Pro file...', this.elements.gpStatus, (file) => this.loadGPFile(file));
+        }
+        if (!this.audioFile) {
+            await this.fetchReferencedFile(this.syncData.audioFile, 'Loading recording...', this.elements.audioStatus, (file) => this.loadAudioFile(file));
+        }
+        this.hideLoading();
+    }
+    
+    async fetchReferencedFile(reference, message, status, load) {
+        const url = window.TabSync.resolveFileUrl(reference, this.syncUrl);
+        if (!url) return;
+        
+        this.showLoading(message);
+        try {
+            load(await window.TabSync.fetchFile(url));
+        } catch (e) {
+            console.error('Failed to fetch referenced file:', e);
+            status.textContent = `Couldn't fetch ${this.shortFileName(window.TabSync.fileNameOf(reference))}`;
+        }
+    }
+    
+    /**
+     * A dropped folder (or set of files): the .tabsync in it is opened and
+     * the tab and recording it names are matched by file name.
+     */
+    async loadDroppedFiles(dataTransfer) {
+        let files;
+        try {
+            files = await window.TabSync.readDroppedFiles(dataTransfer);
+        } catch (e) {
+            console.error('Failed to read dropped files:', e);
+            alert('Failed to read the dropped files.');
+            return;
+        }
+        
+        const pack = files.find(file => window.TabPack.isTabPack(file));
+        if (pack) {
+            this.loadTabPack(pack);
+            return;
+        }
+        
+        let match = window.TabSync.matchFiles(files, this.syncData);
+        if (match.sync && await this.loadSyncFile(match.sync)) {
+            // Match again by the names the new .tabsync gives
+            match = window.TabSync.matchFiles(files, this.syncData);
+        }
+        if (!match.sync && !match.gp && !match.audio) {
+            alert('No .tabsync, Guitar Pro or audio/video files found in the drop.');
+            return;
+        }
+        
+        if (match.gp) this.loadGPFile(match.gp);
+        if (match.audio) this.loadAudioFile(match.audio);
+        if (this.syncData && (!match.gp || !match.audio)) {
+            this.fetchReferencedFiles();
+        }
+    }
+    
+    /**
+     * Open a .tabpack: sync data, tab and recording in one file.
+     */
+    async loadTabPack(blob) {
+        this.showLoading('Opening project bundle...');
+        let pack;
+        try {
+            pack = await window.TabPack.open(blob);
+        } catch (e) {
+            console.error('Failed to open .tabpack:', e);
+            this.hideLoading();
+            alert('Invalid project bundle: ' + e.message);
+            return false;
+        }
+        
+        this.syncData = pack.syncData;
+        this.syncUrl = null;
+        this.onSyncDataLoaded();
+        this.loadGPFile(pack.gp);
+        this.loadAudioFile(pack.media);
+        this.hideLoading();
+        return true;
+    }
+    
+    shortFileName(name) {
+        return name.substring(0, 15) + (name.length > 15 ? '...' : '');
     }
     
     onSyncDataLoaded() {
@@ -298,10 +608,20 @@ class SyncedPlayer {
         this.totalBars = this.syncData.totalBars || 0;
         this.elements.totalBars.textContent = this.totalBars;
         
+        window.SpeedTrainer.fillForm(this.elements, window.SpeedTrainer.loadSettings(this.getTrainerKey()));
+        
         // Update sync card status
         this.elements.syncUploadCard.classList.add('loaded');
         this.elements.syncStatus.textContent = '✓ Loaded';
         
+        // Name the files this sync goes with on the cards still waiting for one
+        if (this.syncData.gpFile && !this.gpFile) {
+            this.elements.gpStatus.textContent = `Select ${this.shortFileName(window.TabSync.fileNameOf(this.syncData.gpFile))}`;
+        }
+        if (this.syncData.audioFile && !this.audioFile) {
+            this.elements.audioStatus.textContent = `Select ${this.shortFileName(window.TabSync.fileNameOf(this.syncData.audioFile))}`;
+        }
+        
         this.updateStartButton();
     }
     
@@ -313,7 +633,7 @@ class SyncedPlayer {
         
         // Update GP card status
         this.elements.gpUploadCard.classList.add('loaded');
-        this.elements.gpStatus.textContent = '✓ ' + file.name.substring(0, 15) + (file.name.length > 15 ? '...' : '');
+        this.elements.gpStatus.textContent = '✓ ' + this.shortFileName(file.name);
         
         // Read the file data but don't load into alphaTab yet
         const reader = new FileReader();
@@ -332,25 +652,14 @@ class SyncedPlayer {
     loadAudioFile(file) {
         if (!file) return;
         
+        // Kept as a File: it is only read when playback starts, and long
+        // recordings are streamed rather than read into memory
         this.audioFile = file;
-        this.audioFileData = null;
         
         // Update audio card status
         this.elements.audioUploadCard.classList.add('loaded');
-        this.elements.audioStatus.textContent = '✓ ' + file.name.substring(0, 15) + (file.name.length > 15 ? '...' : '');
-        
-        // Read the file data but don't decode yet
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            this.audioFileData = e.target.result;
-            this.updateStartButton();
-        };
-        reader.onerror = () => {
-            alert('Failed to read audio file');
-            this.elements.audioUploadCard.classList.remove('loaded');
-            this.elements.audioStatus.textContent = 'Click to select';
-        };
-        reader.readAsArrayBuffer(file);
+        this.elements.audioStatus.textContent = '✓ ' + this.shortFileName(file.name);
+        this.updateStartButton();
     }
     
     initAlphaTab() {
@@ -404,13 +713,35 @@ class SyncedPlayer {
         });
         
         this.alphaTab.playerReady.on(() => {
-            // Mute the alphaTab player - we only want the cursor, not its audio
-            this.alphaTab.masterVolume = 0;
+            // The synth is silent until it is blended in with the crossfader
+            this.synthReady = true;
+            this.updateMixVolumes();
             this.alphaTab.metronomeVolume = 0;
             this.buildBarTickMap();
             this.checkReadyToPlay();
         });
         
+        // Clicking a beat in the notation seeks the recording there
+        this.alphaTab.beatMouseDown.on((beat) => {
+            this.pressedBeat = beat;
+        });
+        
+        this.alphaTab.beatMouseUp.on((beat) => {
+            const clicked = beat && beat === this.pressedBeat;
+            this.pressedBeat = null;
+            if (clicked) this.seekToBeat(beat);
+        });
+        
+        // Selecting bars in the notation loops them
+        this.alphaTab.playbackRangeChanged.on((e) => {
+            if (this.isAppliedPlaybackRange(e.playbackRange)) return;
+            if (e.playbackRange) {
+                this.setLoopFromTicks(e.playbackRange.startTick, e.playbackRange.endTick);
+            } else {
+                this.clearLoopRange();
+            }
+        });
+        
         this.alphaTab.renderStarted.on(() => {
             this.showLoading('Rendering notation...');
         });
@@ -436,19 +767,10 @@ class SyncedPlayer {
     
     buildBarTickMap() {
         // Build a mapping from bar numbers to tick positions
-        this.barTickMap = [];
-        
-        if (!this.alphaTab || !this.alphaTab.tickCache) return;
-        
-        const tickCache = this.alphaTab.tickCache;
-        if (tickCache.masterBars) {
-            tickCache.masterBars.forEach((barInfo, index) => {
-                this.barTickMap[index + 1] = {
-                    start: barInfo.start,
-                    end: barInfo.end
-                };
-            });
-        }
+        this.barTickMap = window.TabSync.buildBarTickMap(this.alphaTab);
+        this.updateClickBeats();
+        this.updateSynthWarp();
+        this.applyDeepLink();
     }
     
     populateTrackList(tracks) {
@@ -467,18 +789,44 @@ class SyncedPlayer {
             
             const color = colors[index % colors.length];
             
+            // Mute/solo only affect the synth, not the recording
             trackEl.innerHTML = `
                 <div class="track-color" style="background: ${color}"></div>
                 <div class="track-details">
                     <div class="track-name">${track.name || `Track ${index + 1}`}</div>
                     <div class="track-instrument">${this.getInstrumentName(track)}</div>
                 </div>
+                <div class="track-controls">
+                    <button class="track-btn solo-btn" title="Solo in synth" data-index="${index}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M12 2a3 3 0 0 0-3 3v7a3 3 0 0 0 6 0V5a3 3 0 0 0-3-3Z"/>
+                            <path d="M19 10v2a7 7 0 0 1-14 0v-2"/>
+                            <line x1="12" y1="19" x2="12" y2="22"/>
+                        </svg>
+                    </button>
+                    <button class="track-btn mute-btn" title="Mute in synth" data-index="${index}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polygon points="11,5 6,9 2,9 2,15 6,15 11,19"/>
+                            <line x1="23" y1="9" x2="17" y2="15"/>
+                            <line x1="17" y1="9" x2="23" y2="15"/>
+                        </svg>
+                    </button>
+                </div>
             `;
             
-            trackEl.addEventListener('click', () => {
+            trackEl.addEventListener('click', (e) => {
+                if (e.target.closest('.track-btn')) return;
                 this.selectTrack(index);
             });
             
+            trackEl.querySelector('.solo-btn').addEventListener('click', () => {
+                this.toggleSolo(index);
+            });
+            
+            trackEl.querySelector('.mute-btn').addEventListener('click', () => {
+                this.toggleMute(index);
+            });
+            
             this.elements.trackList.appendChild(trackEl);
         });
         
@@ -511,16 +859,35 @@ class SyncedPlayer {
         this.alphaTab.renderTracks([this.score.tracks[index]]);
     }
     
+    toggleMute(index) {
+        const track = this.score.tracks[index];
+        const trackItem = this.elements.trackList.querySelector(`[data-index="${index}"]`);
+        const muted = !this.alphaTab.trackMute(track);
+        
+        this.alphaTab.changeTrackMute([track], muted);
+        trackItem.querySelector('.mute-btn').classList.toggle('active', muted);
+        trackItem.classList.toggle('muted', muted);
+    }
+    
+    toggleSolo(index) {
+        const track = this.score.tracks[index];
+        const trackItem = this.elements.trackList.querySelector(`[data-index="${index}"]`);
+        const solo = !this.alphaTab.trackSolo(track);
+        
+        this.alphaTab.changeTrackSolo([track], solo);
+        trackItem.querySelector('.solo-btn').classList.toggle('active', solo);
+    }
+    
     updateStartButton() {
         const hasSync = this.syncData !== null;
         const hasGP = this.gpFileData !== null;
-        const hasAudio = this.audioFileData !== null;
+        const hasAudio = this.audioFile !== null;
         
         this.elements.startPlaybackBtn.disabled = !(hasSync && hasGP && hasAudio);
     }
     
     startPlayback() {
-        if (!this.syncData || !this.gpFileData || !this.audioFileData) return;
+        if (!this.syncData || !this.gpFileData || !this.audioFile) return;
         
         this.showLoading('Loading files...');
         
@@ -537,29 +904,134 @@ class SyncedPlayer {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
             this.gainNode = this.audioContext.createGain();
             this.gainNode.connect(this.audioContext.destination);
-            this.gainNode.gain.value = this.volume;
-        }
-        
-        this.audioContext.decodeAudioData(this.audioFileData.slice(0), (buffer) => {
-            this.audioBuffer = buffer;
-            this.duration = buffer.duration;
-            this.elements.totalTime.textContent = this.formatTime(this.duration);
-            this.elements.audioSourceBadge.classList.add('visible');
+            this.updateMixVolumes();
             
-            // Hide welcome screen
-            this.elements.welcomeScreen.style.display = 'none';
+            // Clicks bypass the recording's volume so each has its own level
+            this.clickTrack = window.ClickTrack.create(this.audioContext);
+            window.ClickTrack.setVolume(this.clickTrack, this.clickVolume);
             
-            this.checkReadyToPlay();
-        }, (err) => {
+            // Keep the pitch when practicing slower or faster
+            window.TimeStretch.create(this.audioContext).then((node) => {
+                if (!node) return;
+                node.connect(this.gainNode);
+                window.TimeStretch.setSpeed(node, this.playbackRate);
+                this.timeStretch = node;
+            });
+        }
+        
+        this.loadAudio(this.audioFile);
+    }
+    
+    /**
+     * Pick the playback backend: short recordings are decoded into an
+     * AudioBuffer (gapless loops, pitch-preserving worklet), long or large
+     * ones stream from an <audio> element so they never sit in memory
+     * as raw samples.
+     */
+    async loadAudio(file) {
+        this.releaseAudio();
+        
+        // Videos always play from their element so the picture can be shown
+        const video = window.TabLibrary.mediaTypeOf(file.name, file.type) === 'video';
+        const element = await this.openMediaElement(file, video);
+        const long = element && element.duration > this.streamingDurationLimit;
+        if (element && (video || long || file.size > this.streamingSizeLimit)) {
+            this.mediaElement = element;
+            this.mediaNode = this.audioContext.createMediaElementSource(element);
+            this.mediaNode.connect(this.gainNode);
+            if (video) {
+                this.showVideo(element);
+            }
+            this.onAudioReady(element.duration);
+            return;
+        }
+        if (element) {
+            URL.revokeObjectURL(element.src);
+        }
+        
+        try {
+            const data = await file.arrayBuffer();
+            this.audioBuffer = await this.audioContext.decodeAudioData(data);
+            this.onAudioReady(this.audioBuffer.duration);
+        } catch (e) {
+            console.error('Failed to decode audio file:', e);
             this.hideLoading();
             alert('Failed to decode audio file');
+        }
+    }
+    
+    /**
+     * An <audio> element for the file with its metadata loaded, or null if
+     * the browser can't play it (decoding may still work).
+     */
+    openMediaElement(file, video = false) {
+        return new Promise((resolve) => {
+            const element = document.createElement(video ? 'video' : 'audio');
+            element.preload = 'auto';
+            element.playsInline = true;
+            // The element keeps the pitch itself when the speed changes
+            element.preservesPitch = true;
+            element.webkitPreservesPitch = true;
+            
+            element.addEventListener('loadedmetadata', () => resolve(element), { once: true });
+            element.addEventListener('error', () => {
+                URL.revokeObjectURL(element.src);
+                resolve(null);
+            }, { once: true });
+            
+            element.addEventListener('playing', () => {
+                // Playback really started (or resumed after buffering): anchor the clock
+                if (!this.isPlaying || element !== this.mediaElement) return;
+                this.startOffset = element.currentTime;
+                this.startedAt = this.audioContext.currentTime;
+            });
+            element.addEventListener('ended', () => {
+                if (!this.isPlaying || element !== this.mediaElement) return;
+                if (this.activeLoop) {
+                    // A loop running to the end of the track
+                    element.currentTime = this.activeLoop.start;
+                    element.play();
+                } else {
+                    this.stop();
+                }
+            });
+            
+            element.src = URL.createObjectURL(file);
         });
     }
     
+    releaseAudio() {
+        if (this.isPlaying) this.pause();
+        this.audioBuffer = null;
+        if (this.mediaElement) {
+            this.mediaNode.disconnect();
+            URL.revokeObjectURL(this.mediaElement.src);
+            this.mediaElement.removeAttribute('src');
+            this.mediaElement.remove();
+            this.elements.videoPane.classList.remove('visible');
+            this.mediaElement = null;
+            this.mediaNode = null;
+        }
+    }
+    
+    onAudioReady(duration) {
+        this.duration = duration;
+        this.elements.totalTime.textContent = this.formatTime(this.duration);
+        this.elements.audioSourceBadge.classList.add('visible');
+        this.updateClickBeats();
+        this.updateSynthWarp();
+        
+        // Hide welcome screen
+        this.elements.welcomeScreen.style.display = 'none';
+        
+        this.checkReadyToPlay();
+        this.applyDeepLink();
+    }
+    
     checkReadyToPlay() {
         const hasSync = this.syncData && this.syncData.markers && this.syncData.markers.length > 0;
         const hasGP = this.score !== null;
-        const hasAudio = this.audioBuffer !== null;
+        const hasAudio = this.audioBuffer !== null || this.mediaElement !== null;
         
         // Enable playback if we have all required files
         // The tick map will be built async when player is ready
@@ -574,6 +1046,8 @@ class SyncedPlayer {
         this.elements.prevBarBtn.disabled = !enabled;
         this.elements.nextBarBtn.disabled = !enabled;
         this.elements.loopBtn.disabled = !enabled;
+        this.elements.clickBtn.disabled = !enabled;
+        this.elements.copyLinkBtn.disabled = !enabled;
     }
     
     // ==========================================
@@ -593,6 +1067,40 @@ class SyncedPlayer {
             line.dataset.bar = marker.bar;
             this.elements.barMarkers.appendChild(line);
         });
+        
+        this.renderLoopRegion();
+    }
+    
+    /**
+     * Highlight the loop range on the progress bar. Explicit times are a
+     * drag preview; otherwise the current loop range is shown.
+     */
+    renderLoopRegion(from, to) {
+        let region = this.elements.barMarkers.querySelector('.loop-region');
+        
+        let start = Math.min(from, to);
+        let end = Math.max(from, to);
+        let label = '';
+        if (from === undefined) {
+            const bounds = this.loopRange && this.getLoopBounds();
+            if (!bounds) {
+                if (region) region.remove();
+                return;
+            }
+            start = bounds.start;
+            end = bounds.end;
+            label = this.describeLoopRange();
+        }
+        
+        if (!region) {
+            region = document.createElement('div');
+            region.className = 'loop-region';
+            this.elements.barMarkers.appendChild(region);
+        }
+        region.style.left = `${(start / this.duration) * 100}%`;
+        region.style.width = `${((end - start) / this.duration) * 100}%`;
+        region.classList.toggle('active', this.isLooping);
+        region.dataset.label = label;
     }
     
     // ==========================================
@@ -603,52 +1111,125 @@ class SyncedPlayer {
         if (this.isPlaying) {
             this.pause();
         } else {
-            this.play();
+            this.play(true);
         }
     }
     
-    play() {
-        if (!this.audioBuffer) return;
+    /**
+     * Start playback from pausedAt. With `countIn`, one bar of clicks at the
+     * tempo there is played first (if the click track and count-in are on).
+     */
+    play(countIn = false) {
+        if (!this.audioBuffer && !this.mediaElement) return;
         
         if (this.audioContext.state === 'suspended') {
             this.audioContext.resume();
         }
         
+        this.playingThroughStretch = this.needsTimeStretch(this.playbackRate);
+        
+        // Starting past the loop end plays on to the end of the track instead
+        const bounds = this.getLoopBounds();
+        this.activeLoop = this.isLooping && this.pausedAt < bounds.end ? bounds : null;
+        
+        const offset = this.pausedAt;
+        this.startOffset = offset;
+        this.startedAt = this.audioContext.currentTime;
+        
+        if (countIn && this.clickEnabled && this.countIn && this.clickTrack && this.clickBeats.length > 0) {
+            // The bar's downbeat lands where the recording becomes audible
+            const latency = this.playingThroughStretch ? window.TimeStretch.getLatency(this.timeStretch) : 0;
+            const interval = window.ClickTrack.beatInterval(this.clickBeats, offset) / this.playbackRate;
+            const count = window.ClickTrack.beatsPerBar(this.clickBeats, offset);
+            const countInStart = this.audioContext.currentTime + 0.05 + latency;
+            window.ClickTrack.reset(this.clickTrack);
+            window.ClickTrack.scheduleCountIn(this.clickTrack, countInStart, count, interval);
+            this.startedAt = countInStart + count * interval - latency;
+        }
+        
+        if (this.mediaElement) {
+            this.startStream(offset);
+        } else {
+            this.startBufferSource(offset);
+        }
+        
+        this.isPlaying = true;
+        this.updatePlayButton();
+        this.startUpdateLoop();
+    }
+    
+    startBufferSource(offset) {
         this.audioSource = this.audioContext.createBufferSource();
         this.audioSource.buffer = this.audioBuffer;
         this.audioSource.playbackRate.value = this.playbackRate;
-        this.audioSource.connect(this.gainNode);
+        this.audioSource.connect(this.playingThroughStretch ? this.timeStretch : this.gainNode);
+        
+        // Loop natively in the source so the wrap is sample-accurate and gapless
+        if (this.activeLoop) {
+            this.audioSource.loop = true;
+            this.audioSource.loopStart = this.activeLoop.start;
+            this.audioSource.loopEnd = this.activeLoop.end;
+        }
         
         this.audioSource.onended = () => {
             if (this.isPlaying) {
-                if (this.isLooping) {
-                    this.seekTo(0);
-                    this.play();
-                } else {
-                    this.stop();
-                }
+                this.stop();
             }
         };
         
-        const offset = this.pausedAt;
-        this.startedAt = this.audioContext.currentTime - offset / this.playbackRate;
-        this.audioSource.start(0, offset);
-        
-        this.isPlaying = true;
-        this.updatePlayButton();
-        this.startUpdateLoop();
+        this.audioSource.start(this.startedAt, offset);
+    }
+    
+    /**
+     * Whether the recording should play through the pitch correction
+     * worklet at `rate`. At 1x it goes straight to the volume, without the
+     * worklet's latency; the media element keeps its own pitch.
+     */
+    needsTimeStretch(rate) {
+        return !this.mediaElement && !!this.timeStretch && rate !== 1;
+    }
+    
+    /**
+     * The element can't start at a context time, so after a count-in it is
+     * started by a timer; the 'playing' event then re-anchors the clock to
+     * when it really started. Loops are wrapped by the update loop.
+     */
+    startStream(offset) {
+        const element = this.mediaElement;
+        element.currentTime = offset;
+        element.playbackRate = this.playbackRate;
+        
+        const start = () => {
+            this.streamTimer = null;
+            element.play().catch((e) => console.error('Failed to play audio:', e));
+        };
+        const delay = this.startedAt - this.audioContext.currentTime;
+        if (delay > 0.01) {
+            this.streamTimer = setTimeout(start, delay * 1000);
+        } else {
+            start();
+        }
     }
     
     pause() {
         if (!this.isPlaying) return;
         
-        this.pausedAt = (this.audioContext.currentTime - this.startedAt) * this.playbackRate;
+        this.pausedAt = this.getPlaybackPosition(window.OutputLatency.get(this.audioContext));
+        if (this.clickTrack) {
+            window.ClickTrack.reset(this.clickTrack);
+        }
+        this.stopSynth();
         
         if (this.audioSource) {
             this.audioSource.onended = null;
             this.audioSource.stop();
             this.audioSource = null;
         }
+        if (this.mediaElement) {
+            clearTimeout(this.streamTimer);
+            this.streamTimer = null;
+            this.mediaElement.pause();
+        }
         
         this.isPlaying = false;
         this.updatePlayButton();
@@ -682,6 +1263,14 @@ class SyncedPlayer {
         }
     }
     
+    seekToBeat(beat) {
+        if (!this.syncData || this.duration === 0) return;
+        const time = window.TabSync.timeOfBeat(this.syncData, this.barTickMap, beat, this.duration, this.currentTime);
+        if (time !== null) {
+            this.seekTo(time);
+        }
+    }
+    
     previousBar() {
         if (!this.syncData || !this.syncData.markers) return;
         
@@ -708,8 +1297,356 @@ class SyncedPlayer {
     }
     
     toggleLoop() {
-        this.isLooping = !this.isLooping;
+        this.setLooping(!this.isLooping);
+    }
+    
+    setLooping(looping) {
+        this.isLooping = looping;
         this.elements.loopBtn.classList.toggle('active', this.isLooping);
+        this.renderLoopRegion();
+        
+        // Restart the source so it picks up the new loop points
+        if (this.isPlaying) {
+            this.seekTo(this.currentTime);
+        }
+    }
+    
+    setSpeed(percent) {
+        this.elements.tempoSlider.value = percent;
+        this.elements.tempoValue.textContent = `${percent}%`;
+        this.setPlaybackRate(percent / 100);
+    }
+    
+    // ==========================================
+    // Speed Trainer
+    // ==========================================
+    
+    // Library projects are remembered by id, loose files by title and GP file
+    getTrainerKey() {
+        if (this.projectId) return `project:${this.projectId}`;
+        return `sync:${this.syncData?.title || 'Untitled'}:${this.syncData?.gpFile || ''}`;
+    }
+    
+    toggleTrainer() {
+        if (this.trainer) {
+            this.stopTrainer();
+            return;
+        }
+        
+        const settings = window.SpeedTrainer.readForm(this.elements);
+        window.SpeedTrainer.saveSettings(this.getTrainerKey(), settings);
+        
+        const slider = this.elements.tempoSlider;
+        this.trainer = window.SpeedTrainer.create(settings, { min: parseInt(slider.min), max: parseInt(slider.max) });
+        this.setSpeed(this.trainer.speed);
+        
+        // The trainer steps up each time the loop comes around
+        if (!this.isLooping) {
+            this.setLooping(true);
+        }
+        
+        this.elements.trainerPanel.classList.remove('visible');
+        this.updateTrainerDisplay();
+    }
+    
+    stopTrainer() {
+        this.trainer = null;
+        this.updateTrainerDisplay();
+    }
+    
+    onLoopWrap() {
+        if (!this.trainer) return;
+        
+        const result = window.SpeedTrainer.advance(this.trainer);
+        if (result === 'step') {
+            this.setSpeed(this.trainer.speed);
+        } else if (result === 'stop') {
+            this.pause();
+        }
+        this.updateTrainerDisplay();
+    }
+    
+    updateTrainerDisplay() {
+        const running = !!this.trainer;
+        this.elements.trainerBtn.classList.toggle('active', running);
+        this.elements.trainerToggleBtn.textContent = running ? 'Stop Trainer' : 'Start Trainer';
+        this.elements.trainerStatus.textContent = running ? window.SpeedTrainer.describe(this.trainer) : '';
+    }
+    
+    // ==========================================
+    // A-B Loop Range
+    // ==========================================
+    
+    /**
+     * Audio times of the loop: the selected bar range, or the whole track.
+     */
+    getLoopBounds() {
+        if (!this.loopRange || this.barTickMap.length === 0) {
+            return { start: 0, end: this.duration };
+        }
+        const startSlot = this.barTickMap[this.loopRange.start];
+        const endSlot = this.barTickMap[this.loopRange.end];
+        const start = window.TabSync.tickToTime(this.syncData, this.barTickMap, startSlot.start, this.duration);
+        const end = window.TabSync.tickToTime(this.syncData, this.barTickMap, endSlot.end, this.duration);
+        return end > start ? { start, end } : { start: 0, end: this.duration };
+    }
+    
+    describeLoopRange() {
+        if (!this.loopRange) return '';
+        const start = window.TabSync.formatBar(this.barTickMap[this.loopRange.start]);
+        const end = window.TabSync.formatBar(this.barTickMap[this.loopRange.end]);
+        return this.loopRange.start === this.loopRange.end ? `Bar ${start}` : `Bars ${start}–${end}`;
+    }
+    
+    /**
+     * Loop the playback positions start..end (inclusive) and start looping.
+     */
+    setLoopRange(start, end) {
+        const last = this.barTickMap.length - 1;
+        if (last < 1) return;
+        start = Math.max(1, Math.min(start, last));
+        end = Math.max(start, Math.min(end, last));
+        this.loopRange = { start, end };
+        
+        // Keep alphaTab's own playback range in step with the loop
+        this.applyPlaybackRange({
+            startTick: this.barTickMap[start].start,
+            endTick: this.barTickMap[end].end
+        });
+        
+        this.elements.loopBtn.title = `Loop ${this.describeLoopRange()} (Shift+L to clear)`;
+        
+        // Jump into the loop if playback is outside of it
+        const bounds = this.getLoopBounds();
+        const outside = this.currentTime < bounds.start || this.currentTime >= bounds.end;
+        this.isLooping = true;
+        this.elements.loopBtn.classList.add('active');
+        this.renderLoopRegion();
+        if (outside && this.isPlaying) {
+            // Count in to the loop start
+            this.pause();
+            this.pausedAt = bounds.start;
+            this.currentTime = bounds.start;
+            this.play(true);
+        } else {
+            this.seekTo(outside ? bounds.start : this.currentTime);
+        }
+    }
+    
+    clearLoopRange() {
+        if (!this.loopRange) return;
+        this.loopRange = null;
+        this.elements.loopBtn.title = 'Loop Selection';
+        
+        this.applyPlaybackRange(null);
+        this.renderLoopRegion();
+        if (this.isPlaying) {
+            this.seekTo(this.currentTime);
+        }
+    }
+    
+    applyPlaybackRange(range) {
+        this.appliedPlaybackRange = range;
+        try {
+            this.alphaTab.playbackRange = range;
+        } catch (e) {
+            // Older alphaTab builds without playbackRange
+        }
+    }
+    
+    // alphaTab echoes ranges we set ourselves back through playbackRangeChanged
+    isAppliedPlaybackRange(range) {
+        const applied = this.appliedPlaybackRange;
+        if (!range || !applied) return !range && !applied;
+        return range.startTick === applied.startTick && range.endTick === applied.endTick;
+    }
+    
+    setLoopFromTimes(from, to) {
+        if (this.barTickMap.length === 0) return;
+        const startTime = Math.min(from, to);
+        const endTime = Math.max(from, to);
+        const start = window.TabSync.positionAtTime(this.syncData, startTime, this.barTickMap) || 1;
+        // The bar the drag ends in is included
+        const end = window.TabSync.positionAtTime(this.syncData, endTime, this.barTickMap) || start;
+        this.setLoopRange(start, end);
+    }
+    
+    /**
+     * Loop a notation selection. alphaTab reports it in score ticks, so map
+     * both ends to master bars and pick the first pass through them.
+     */
+    setLoopFromTicks(startTick, endTick) {
+        if (!this.score || this.barTickMap.length === 0) return;
+        
+        const barAt = (tick) => {
+            const masterBar = this.score.masterBars.find(mb => tick >= mb.start && tick < mb.start + mb.calculateDuration());
+            return masterBar ? masterBar.index + 1 : this.score.masterBars.length;
+        };
+        const startBar = barAt(startTick);
+        const endBar = barAt(Math.max(startTick, endTick - 1));
+        
+        const start = window.TabSync.positionOf(this.barTickMap, startBar, 1);
+        if (!start) return;
+        let end = start;
+        for (let position = start; position < this.barTickMap.length; position++) {
+            if (this.barTickMap[position].bar === endBar) {
+                end = position;
+                break;
+            }
+        }
+        this.setLoopRange(start, end);
+    }
+    
+    /**
+     * Move one end of the loop by whole bars. Without a loop, starts one
+     * on the current bar.
+     */
+    adjustLoopRange(edge, delta) {
+        if (this.barTickMap.length === 0) return;
+        
+        if (!this.loopRange) {
+            const position = window.TabSync.positionAtTime(this.syncData, this.currentTime, this.barTickMap) || 1;
+            this.setLoopRange(position, position);
+            return;
+        }
+        
+        const { start, end } = this.loopRange;
+        if (edge === 'start') {
+            this.setLoopRange(Math.min(start + delta, end), end);
+        } else {
+            this.setLoopRange(start, Math.max(end + delta, start));
+        }
+    }
+    
+    progressTimeAt(clientX) {
+        const rect = this.elements.progressBar.getBoundingClientRect();
+        const percent = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+        return percent * this.duration;
+    }
+    
+    // ==========================================
+    // Deep Links
+    // ==========================================
+    
+    /**
+     * Go to the bar or time, loop, speed and track from the page URL. Waits
+     * until the recording and the tick map are both there; runs once.
+     */
+    applyDeepLink() {
+        const link = this.deepLink;
+        if (window.DeepLink.isEmpty(link) || !this.syncData || this.duration === 0 || this.barTickMap.length < 2) return;
+        this.deepLink = null;
+        
+        if (link.track !== undefined && this.score.tracks[link.track]) {
+            this.selectTrack(link.track);
+        }
+        if (link.speed) {
+            const slider = this.elements.tempoSlider;
+            this.setSpeed(Math.max(parseInt(slider.min), Math.min(parseInt(slider.max), link.speed)));
+        }
+        if (link.loop) {
+            const bars = window.DeepLink.findBars(this.barTickMap, link.loop.start, link.loop.end);
+            if (bars) this.setLoopRange(bars.first, bars.last);
+        }
+        
+        let time = link.time;
+        if (link.bar) {
+            const bars = window.DeepLink.findBars(this.barTickMap, link.bar);
+            if (bars) {
+                time = window.TabSync.tickToTime(this.syncData, this.barTickMap, this.barTickMap[bars.first].start, this.duration);
+            }
+        }
+        if (time !== undefined) {
+            this.seekTo(time);
+        }
+        
+        // The context started running if it was created by a click (Start Playback)
+        if (link.autoplay && this.audioContext.state === 'running') {
+            this.togglePlayPause();
+        }
+    }
+    
+    copyLink() {
+        // A .tabsync opened from the web keeps its ?sync= parameter in the link
+        if (!this.projectId && !this.syncUrl) {
+            alert('Links can only point to projects saved in the library or sync files opened from the web (sync-player.html?sync=URL).');
+            return;
+        }
+        
+        const loop = this.loopRange ? {
+            start: this.barTickMap[this.loopRange.start].bar,
+            end: this.barTickMap[this.loopRange.end].bar
+        } : null;
+        const url = window.DeepLink.build({
+            time: this.currentTime,
+            loop,
+            speed: parseInt(this.elements.tempoSlider.value),
+            track: this.alphaTab.tracks.length > 0 ? this.alphaTab.tracks[0].index : 0
+        }, { project: this.projectId });
+        
+        window.DeepLink.copy(url).then(() => {
+            this.elements.copyLinkBtn.classList.add('copied');
+            this.elements.copyLinkLabel.textContent = 'Copied!';
+            setTimeout(() => {
+                this.elements.copyLinkBtn.classList.remove('copied');
+                this.elements.copyLinkLabel.textContent = 'Copy Link';
+            }, 1500);
+        }).catch(() => {
+            prompt('Copy this link:', url);
+        });
+    }
+    
+    // ==========================================
+    // Video Pane
+    // ==========================================
+    
+    showVideo(element) {
+        // Audio-only .webm/.mp4 files have no picture to show
+        if (!element.videoWidth) return;
+        this.elements.videoContainer.appendChild(element);
+        this.elements.videoPane.classList.add('visible');
+        this.relayoutNotation();
+    }
+    
+    toggleVideoPane() {
+        if (!this.mediaElement || !this.mediaElement.isConnected) return;
+        this.elements.videoPane.classList.toggle('visible');
+        this.relayoutNotation();
+    }
+    
+    // alphaTab only re-lays out when the window resizes
+    relayoutNotation() {
+        window.dispatchEvent(new Event('resize'));
+    }
+    
+    togglePictureInPicture() {
+        if (document.pictureInPictureElement) {
+            document.exitPictureInPicture();
+        } else if (this.mediaElement && this.mediaElement.requestPictureInPicture) {
+            this.mediaElement.requestPictureInPicture().catch((e) => {
+                console.error('Picture-in-Picture failed:', e);
+            });
+        }
+    }
+    
+    // Drag the pane's left edge; the notation takes the rest of the width
+    startVideoResize(e) {
+        e.preventDefault();
+        const pane = this.elements.videoPane;
+        const right = pane.getBoundingClientRect().right;
+        pane.classList.add('resizing');
+        
+        const move = (event) => {
+            pane.style.width = `${right - event.clientX}px`;
+        };
+        const end = () => {
+            pane.classList.remove('resizing');
+            document.removeEventListener('pointermove', move);
+            document.removeEventListener('pointerup', end);
+            this.relayoutNotation();
+        };
+        document.addEventListener('pointermove', move);
+        document.addEventListener('pointerup', end);
     }
     
     // ==========================================
@@ -720,7 +1657,21 @@ class SyncedPlayer {
         const update = () => {
             if (!this.isPlaying) return;
             
-            this.currentTime = (this.audioContext.currentTime - this.startedAt) * this.playbackRate;
+            if (this.mediaElement) {
+                this.followStream();
+            }
+            
+            const previousTime = this.currentTime;
+            // What is heard right now - the cursor follows the speakers
+            this.currentTime = this.getPlaybackPosition(window.OutputLatency.get(this.audioContext));
+            
+            // Seeks restart this loop, so moving backwards means the loop wrapped
+            if (this.activeLoop && this.currentTime < previousTime) {
+                this.onLoopWrap();
+                // Stopped by the trainer, or restarted by its speed step
+                // crossing 1x (see setPlaybackRate) with a loop of its own
+                if (!this.isPlaying || this.updateLoop !== update) return;
+            }
             
             if (this.currentTime >= this.duration) {
                 this.currentTime = this.duration;
@@ -728,13 +1679,278 @@ class SyncedPlayer {
             
             this.updateProgress();
             this.updateCursor();
+            this.scheduleClicks();
+            this.syncSynth();
             
             this.animationFrame = requestAnimationFrame(update);
         };
         
+        this.updateLoop = update;
         this.animationFrame = requestAnimationFrame(update);
     }
     
+    /**
+     * Keep the clock on a streamed recording: wrap the loop by seeking the
+     * element, and re-anchor if it drifted (buffering, coarse element clock).
+     */
+    followStream() {
+        const element = this.mediaElement;
+        const now = this.audioContext.currentTime;
+        if (now < this.startedAt || element.paused) return;
+        
+        const position = this.startOffset + (now - this.startedAt) * this.playbackRate;
+        if (this.activeLoop && position >= this.activeLoop.end) {
+            element.currentTime = this.activeLoop.start;
+            this.startOffset = this.activeLoop.start;
+            this.startedAt = now;
+        } else if (Math.abs(element.currentTime - position) > 0.2) {
+            this.startOffset = element.currentTime;
+            this.startedAt = now;
+        }
+    }
+    
+    /**
+     * Position in the recording leaving the audio graph right now. Pitch
+     * correction delays the audio by a fixed latency, so the position only
+     * starts moving once the first corrected samples come out. Pass the
+     * output latency to get the position the listener hears.
+     */
+    getPlaybackPosition(outputLatency = 0) {
+        const latency = this.playingThroughStretch ? window.TimeStretch.getLatency(this.timeStretch) : 0;
+        const elapsed = Math.max(0, this.audioContext.currentTime - this.startedAt - latency - outputLatency);
+        const position = this.startOffset + elapsed * this.playbackRate;
+        
+        // The source wraps to the loop start each time it reaches the loop end
+        const loop = this.isPlaying && this.activeLoop;
+        if (loop && position >= loop.end) {
+            return loop.start + (position - loop.start) % (loop.end - loop.start);
+        }
+        return position;
+    }
+    
+    // ==========================================
+    // Click Track
+    // ==========================================
+    
+    updateClickBeats() {
+        const ready = this.syncData && this.barTickMap.length > 1 && this.duration > 0;
+        this.clickBeats = ready ? window.ClickTrack.buildBeats(this.syncData, this.barTickMap, this.duration) : [];
+    }
+    
+    toggleClick() {
+        if (!this.clickTrack) return;
+        this.clickEnabled = !this.clickEnabled;
+        this.elements.clickBtn.classList.toggle('active', this.clickEnabled);
+        if (!this.clickEnabled) {
+            window.ClickTrack.reset(this.clickTrack);
+        }
+    }
+    
+    scheduleClicks() {
+        if (!this.clickEnabled || !this.clickTrack) return;
+        
+        // Before the recording is audible (count-in, pitch correction latency)
+        // the position runs ahead of startOffset so the first clicks land on time
+        const latency = this.playingThroughStretch ? window.TimeStretch.getLatency(this.timeStretch) : 0;
+        const elapsed = this.audioContext.currentTime - this.startedAt - latency;
+        const position = elapsed < 0 ? this.startOffset + elapsed * this.playbackRate : this.getPlaybackPosition();
+        
+        const startPosition = elapsed < 0 ? this.startOffset : -Infinity;
+        window.ClickTrack.schedule(this.clickTrack, this.clickBeats, position, this.playbackRate, this.activeLoop, startPosition);
+    }
+    
+    // ==========================================
+    // Output Latency Calibration
+    // ==========================================
+    
+    updateLatencyButton() {
+        const adjustment = Math.round(window.OutputLatency.getAdjustment() * 1000);
+        this.elements.latencyValue.textContent = adjustment === 0 ? 'Latency' : `Latency ${adjustment > 0 ? '+' : ''}${adjustment} ms`;
+    }
+    
+    /**
+     * Play a click every calibrationInterval seconds and flash the light when
+     * each one should be heard, given the latency being tried on the slider.
+     */
+    showLatencyModal() {
+        if (this.isPlaying) this.pause();
+        
+        const context = new (window.AudioContext || window.webkitAudioContext)();
+        const track = window.ClickTrack.create(context);
+        this.latencyCalibration = { context, track, start: context.currentTime + 0.3, scheduled: 0 };
+        
+        this.elements.latencySlider.value = Math.round(window.OutputLatency.getAdjustment() * 1000);
+        this.updateLatencyStatus();
+        this.elements.latencyModal.classList.add('visible');
+        
+        const update = () => {
+            const calibration = this.latencyCalibration;
+            if (!calibration) return;
+            const now = calibration.context.currentTime;
+            
+            // Keep a second of clicks scheduled ahead
+            while (calibration.start + calibration.scheduled * this.calibrationInterval < now + 1) {
+                const when = calibration.start + calibration.scheduled * this.calibrationInterval;
+                window.ClickTrack.click(track, when, calibration.scheduled % 4 === 0);
+                calibration.scheduled++;
+            }
+            
+            const latency = window.OutputLatency.measure(calibration.context) + parseInt(this.elements.latencySlider.value) / 1000;
+            const heard = now - latency - calibration.start;
+            const phase = ((heard % this.calibrationInterval) + this.calibrationInterval) % this.calibrationInterval;
+            this.elements.latencyFlash.classList.toggle('lit', heard >= 0 && phase < 0.1);
+            
+            calibration.frame = requestAnimationFrame(update);
+        };
+        update();
+    }
+    
+    hideLatencyModal() {
+        const calibration = this.latencyCalibration;
+        if (calibration) {
+            cancelAnimationFrame(calibration.frame);
+            calibration.context.close();
+            this.latencyCalibration = null;
+        }
+        this.elements.latencyFlash.classList.remove('lit');
+        this.elements.latencyModal.classList.remove('visible');
+    }
+    
+    updateLatencyStatus() {
+        const calibration = this.latencyCalibration;
+        const measured = Math.round(window.OutputLatency.measure(calibration && calibration.context) * 1000);
+        const adjustment = parseInt(this.elements.latencySlider.value);
+        this.elements.latencyStatus.textContent =
+            `Browser reports ${measured} ms · correction ${adjustment > 0 ? '+' : ''}${adjustment} ms · total ${Math.max(0, measured + adjustment)} ms`;
+    }
+    
+    // ==========================================
+    // Synth Blend
+    // ==========================================
+    
+    /**
+     * Equal-power crossfade between the recording and the synth.
+     */
+    updateMixVolumes() {
+        const angle = this.synthMix * Math.PI / 2;
+        if (this.gainNode) {
+            this.gainNode.gain.value = this.volume * Math.cos(angle);
+        }
+        if (this.synthReady) {
+            this.alphaTab.masterVolume = this.volume * Math.sin(angle);
+        }
+    }
+    
+    /**
+     * Tempo factor per playback position that makes the synth take as long
+     * for each bar as the recording does (1 where the markers don't say).
+     */
+    updateSynthWarp() {
+        this.synthWarp = [];
+        if (!this.score || !this.syncData || this.barTickMap.length < 2 || this.duration === 0) return;
+        
+        const anchors = window.TabSync.getAnchors(this.syncData, this.barTickMap);
+        if (anchors.length === 0) return;
+        
+        window.TabSync.buildScoreTimeline(this.score, this.barTickMap).forEach((expected) => {
+            const position = window.TabSync.positionOf(this.barTickMap, expected.bar, expected.pass);
+            const slot = this.barTickMap[position];
+            if (!slot) return;
+            
+            const start = window.TabSync.tickToTime(this.syncData, this.barTickMap, slot.start, this.duration, anchors);
+            const end = window.TabSync.tickToTime(this.syncData, this.barTickMap, slot.end, this.duration, anchors);
+            const warp = end > start ? expected.duration / (end - start) : 0;
+            this.synthWarp[position] = warp > 0.25 && warp < 4 ? warp : 1;
+        });
+    }
+    
+    /**
+     * Keep the synth in lockstep with the recording. Called every frame while
+     * playing: follows each bar's tempo, eases out small drift by nudging the
+     * speed and jumps when it is too far off (after seeks and loop wraps).
+     */
+    syncSynth() {
+        if (!this.synthReady || this.synthMix === 0) {
+            this.stopSynth();
+            return;
+        }
+        
+        // Wait for the recording to become audible (count-in, latency)
+        const latency = this.playingThroughStretch ? window.TimeStretch.getLatency(this.timeStretch) : 0;
+        if (this.audioContext.currentTime - this.startedAt - latency < 0) return;
+        
+        // Compared with the synth before either reaches the speakers
+        const target = window.TabSync.timeToTick(this.syncData, this.barTickMap, this.getPlaybackPosition(), this.duration);
+        if (!target || target.beforeFirst) {
+            this.stopSynth();
+            return;
+        }
+        
+        const slot = this.barTickMap[target.position];
+        const speed = (this.synthWarp[target.position] || 1) * this.playbackRate;
+        
+        // alphaTab stops by itself at the end of its playback range
+        const running = this.alphaTab.playerState === alphaTab.synth.PlayerState.Playing;
+        if (!this.synthPlaying || !running) {
+            this.alphaTab.tickPosition = target.tick;
+            this.alphaTab.playbackSpeed = speed;
+            this.alphaTab.play();
+            this.synthPlaying = true;
+            return;
+        }
+        
+        const barTicks = slot.end - slot.start;
+        const drift = this.alphaTab.tickPosition - target.tick;
+        if (Math.abs(drift) > barTicks / 4) {
+            this.alphaTab.tickPosition = target.tick;
+            return;
+        }
+        
+        const correction = Math.max(-0.1, Math.min(0.1, -drift / barTicks));
+        const corrected = speed * (1 + correction);
+        if (Math.abs(corrected - this.alphaTab.playbackSpeed) > 0.005) {
+            this.alphaTab.playbackSpeed = corrected;
+        }
+    }
+    
+    stopSynth() {
+        if (!this.synthPlaying) return;
+        this.synthPlaying = false;
+        this.alphaTab.pause();
+    }
+    
+    setPlaybackRate(rate) {
+        // Leaving or coming back to 1x moves the source in or out of the
+        // worklet, and the clock can't carry its delay across: restart the
+        // source from what is being heard, routed for the new rate
+        if (this.isPlaying && this.audioSource && this.needsTimeStretch(rate) !== this.playingThroughStretch) {
+            const position = this.getPlaybackPosition();
+            this.playbackRate = rate;
+            window.TimeStretch.setSpeed(this.timeStretch, rate);
+            this.seekTo(position);
+            return;
+        }
+        
+        if (this.isPlaying) {
+            // Re-anchor so the position continues from here at the new rate
+            const latency = this.playingThroughStretch ? window.TimeStretch.getLatency(this.timeStretch) : 0;
+            this.startOffset = this.getPlaybackPosition();
+            this.startedAt = this.audioContext.currentTime - latency;
+            if (this.audioSource) {
+                this.audioSource.playbackRate.value = rate;
+            }
+            if (this.mediaElement) {
+                this.mediaElement.playbackRate = rate;
+            }
+            // Clicks already scheduled were spaced for the old rate
+            if (this.clickTrack) {
+                window.ClickTrack.reset(this.clickTrack);
+            }
+        }
+        this.playbackRate = rate;
+        window.TimeStretch.setSpeed(this.timeStretch, rate);
+    }
+    
     stopUpdateLoop() {
         if (this.animationFrame) {
             cancelAnimationFrame(this.animationFrame);
@@ -753,36 +1969,10 @@ class SyncedPlayer {
     updateCursor() {
         if (!this.syncData || !this.syncData.markers) return;
         
-        // Apply notation offset (negative = notation is delayed/behind audio)
-        const adjustedTime = this.currentTime + this.notationOffset;
-        
-        // Find current bar and the next bar based on adjusted time
-        let currentBarIndex = 0;
-        let currentBarTime = 0;
-        let nextBarTime = this.duration;
-        
-        for (let i = 0; i < this.syncData.markers.length; i++) {
-            const marker = this.syncData.markers[i];
-            if (adjustedTime >= marker.time) {
-                currentBarIndex = i;
-                currentBarTime = marker.time;
-                // Get next bar time
-                if (i + 1 < this.syncData.markers.length) {
-                    nextBarTime = this.syncData.markers[i + 1].time;
-                } else {
-                    nextBarTime = this.duration;
-                }
-            } else {
-                break;
-            }
-        }
-        
-        const currentMarker = this.syncData.markers[currentBarIndex];
-        if (!currentMarker) return;
-        
-        const barNumber = currentMarker.bar;
-        
         // Update bar indicator
+        const barNumber = window.TabSync.barAtTime(this.syncData, this.currentTime, this.barTickMap) || this.syncData.markers[0]?.bar;
+        if (!barNumber) return;
+        
         if (barNumber !== this.currentBar) {
             this.currentBar = barNumber;
             this.elements.currentBar.textContent = barNumber;
@@ -791,22 +1981,16 @@ class SyncedPlayer {
         // Only update alphaTab cursor if tick map is ready
         if (this.barTickMap.length === 0) return;
         
-        // Calculate interpolated tick position within the current bar
-        const barTicks = this.barTickMap[barNumber];
-        if (!barTicks) return;
-        
-        // How far through this bar are we (0 to 1)?
-        const barDuration = nextBarTime - currentBarTime;
-        const timeInBar = adjustedTime - currentBarTime;
-        const barProgress = barDuration > 0 ? Math.min(1, Math.max(0, timeInBar / barDuration)) : 0;
+        // Interpolated tick position from bar markers, refined by beat markers when present
+        const position = window.TabSync.timeToTick(this.syncData, this.barTickMap, this.currentTime, this.duration);
+        if (!position) return;
         
-        // Interpolate tick position
-        const tickRange = barTicks.end - barTicks.start;
-        const currentTick = Math.floor(barTicks.start + (tickRange * barProgress));
+        // While the synth plays it moves the cursor itself
+        if (this.synthPlaying) return;
         
         // Update alphaTab cursor position
         try {
-            this.alphaTab.tickPosition = currentTick;
+            this.alphaTab.tickPosition = position.tick;
         } catch (e) {
             // Ignore errors
         }
@@ -0,0 +1,295 @@
+/**
+ * TabPack
+ * A whole project in one file: a zip holding a manifest, the .tabsync, the
+ * Guitar Pro file, the recording and optional cover art and notes.
+ *
+ *   manifest.json     { format: 'tabpack', version, title, artist, sync,
+ *                       gp, media, mediaType, cover?, notes?, createdAt }
+ *   project.tabsync   sync data; gpFile/audioFile name the files below
+ *   Song.gp
+ *   Song.mp3          (or a video)
+ *   cover.jpg         optional
+ *   notes.txt         optional
+ *
+ * Files are stored uncompressed - tabs and recordings are compressed
+ * already. Packs re-zipped with other tools (deflate) open too.
+ */
+
+window.TabPack = {
+    VERSION: 1,
+    EXTENSION: 'tabpack',
+    MANIFEST: 'manifest.json',
+    SYNC_FILE: 'project.tabsync',
+
+    isTabPack(file) {
+        return window.TabSync.extensionOf(file.name) === this.EXTENSION;
+    },
+
+    // Zip files start with "PK\3\4", whatever they are named
+    async isZip(blob) {
+        const bytes = new Uint8Array(await blob.slice(0, 4).arrayBuffer());
+        return bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+    },
+
+    fileName(title) {
+        return `${(title || 'Untitled').replace(/[^a-z0-9]/gi, '_')}.${this.EXTENSION}`;
+    },
+
+    /**
+     * Build a .tabpack. `gp`, `media` and `cover` are Files (their names
+     * are kept in the pack); `notes` is plain text.
+     */
+    async create({ syncData, gp, media, cover = null, notes = '' }) {
+        const sync = {
+            ...syncData,
+            version: window.TabSync.VERSION,
+            gpFile: gp.name,
+            audioFile: media.name,
+            mediaType: syncData.mediaType || (media.type.startsWith('video/') ? 'video' : 'audio')
+        };
+        const manifest = {
+            format: 'tabpack',
+            version: this.VERSION,
+            title: sync.title || 'Untitled',
+            artist: sync.artist || '',
+            sync: this.SYNC_FILE,
+            gp: gp.name,
+            media: media.name,
+            mediaType: sync.mediaType,
+            createdAt: new Date().toISOString()
+        };
+
+        const files = [gp, media];
+        if (cover) {
+            manifest.cover = cover.name;
+            files.push(cover);
+        }
+        if (notes) {
+            manifest.notes = 'notes.txt';
+            files.push(new File([notes], manifest.notes, { type: 'text/plain' }));
+        }
+        files.unshift(
+            new File([JSON.stringify(manifest, null, 2)], this.MANIFEST, { type: 'application/json' }),
+            new File([JSON.stringify(sync, null, 2)], this.SYNC_FILE, { type: 'application/json' })
+        );
+
+        return this.zip(files);
+    },
+
+    /**
+     * Read a .tabpack. Returns { manifest, syncData, gp, media, cover, notes }
+     * with the files as Files and the sync data normalized. A zip without a
+     * manifest (a project folder zipped by hand) is matched like a dropped
+     * folder. Throws if the pack is missing its sync data, tab or recording.
+     */
+    async open(blob) {
+        const files = await this.unzip(blob);
+        const byName = (name) => name ? files.find(file => file.name === window.TabSync.fileNameOf(name)) || null : null;
+
+        const manifestFile = byName(this.MANIFEST);
+        const manifest = manifestFile ? JSON.parse(await manifestFile.text()) : {};
+        const syncFile = byName(manifest.sync) || window.TabSync.matchFiles(files).sync;
+        if (!syncFile) throw new Error('No sync data in this pack');
+
+        const syncData = window.TabSync.normalize(JSON.parse(await syncFile.text()));
+        const match = window.TabSync.matchFiles(files, syncData);
+        const gp = byName(manifest.gp) || match.gp;
+        const media = byName(manifest.media) || match.audio;
+        if (!gp) throw new Error('No Guitar Pro file in this pack');
+        if (!media) throw new Error('No recording in this pack');
+
+        const notesFile = byName(manifest.notes);
+        return {
+            manifest,
+            syncData,
+            gp,
+            media,
+            cover: byName(manifest.cover),
+            notes: notesFile ? await notesFile.text() : ''
+        };
+    },
+
+    // ==========================================
+    // Zip
+    // ==========================================
+
+    /**
+     * Store Files in a zip (no compression, no zip64: up to 4 GB). Each
+     * file is streamed once for its checksum and added to the zip as the
+     * Blob itself, so it is never all in memory. `onProgress(done, total)`
+     * reports bytes checked so far, as the checksum goes.
+     */
+    async zip(files, onProgress = null) {
+        const encoder = new TextEncoder();
+        const { time, date } = this.dosDateTime(new Date());
+        const parts = [];
+        const directory = [];
+        const totalBytes = files.reduce((total, file) => total + file.size, 0);
+        let doneBytes = 0;
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const size = file.size;
+            if (offset + 30 + name.length + size > 0xffffffff) {
+                throw new Error('Too large for a zip (over 4 GB)');
+            }
+            const crc = await this.checksum(file, (bytes) => {
+                if (onProgress) onProgress(doneBytes + bytes, totalBytes);
+            });
+            doneBytes += size;
+            if (onProgress) onProgress(doneBytes, totalBytes);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);          // version needed
+            local.setUint16(6, 0x0800, true);      // UTF-8 names
+            local.setUint16(8, 0, true);           // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, size, true);
+            local.setUint32(22, size, true);
+            local.setUint16(26, name.length, true);
+            parts.push(local, name, file);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);        // version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, size, true);
+            central.setUint32(24, size, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            directory.push(central, name);
+
+            offset += 30 + name.length + size;
+        }
+
+        const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+    },
+
+    /**
+     * The files in a zip, as Files named without their folder. Entries are
+     * sliced from the Blob rather than read into memory where possible.
+     */
+    async unzip(blob) {
+        // The end record sits in the last 22 bytes plus up to 64 KB of comment
+        const tail = new DataView(await blob.slice(Math.max(0, blob.size - 65558)).arrayBuffer());
+        let endAt = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054b50) {
+                endAt = i;
+                break;
+            }
+        }
+        if (endAt < 0) throw new Error('Not a zip file');
+
+        const count = tail.getUint16(endAt + 10, true);
+        const directorySize = tail.getUint32(endAt + 12, true);
+        const directoryOffset = tail.getUint32(endAt + 16, true);
+        const directory = new DataView(await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+        const decoder = new TextDecoder();
+
+        const files = [];
+        let at = 0;
+        for (let i = 0; i < count; i++) {
+            if (directory.getUint32(at, true) !== 0x02014b50) throw new Error('Damaged zip file');
+            const method = directory.getUint16(at + 10, true);
+            const compressedSize = directory.getUint32(at + 20, true);
+            const nameLength = directory.getUint16(at + 28, true);
+            const extraLength = directory.getUint16(at + 30, true);
+            const commentLength = directory.getUint16(at + 32, true);
+            const localOffset = directory.getUint32(at + 42, true);
+            const path = decoder.decode(new Uint8Array(directory.buffer, at + 46, nameLength));
+            at += 46 + nameLength + extraLength + commentLength;
+
+            // Folders, and the metadata macOS adds to zips it makes
+            if (path.endsWith('/') || path.startsWith('__MACOSX/')) continue;
+
+            const local = new DataView(await blob.slice(localOffset, localOffset + 30).arrayBuffer());
+            const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+            let data = blob.slice(dataStart, dataStart + compressedSize);
+
+            if (method === 8) {
+                data = await new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+            } else if (method !== 0) {
+                throw new Error(`Unsupported compression in ${path}`);
+            }
+            files.push(new File([data], window.TabSync.fileNameOf(path), { type: this.typeOf(path) }));
+        }
+        return files;
+    },
+
+    typeOf(path) {
+        const extension = window.TabSync.extensionOf(path);
+        if (window.TabLibrary && window.TabLibrary.MEDIA_TYPES[extension]) {
+            return window.TabLibrary.MEDIA_TYPES[extension];
+        }
+        return { json: 'application/json', tabsync: 'application/json', txt: 'text/plain', jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' }[extension] || '';
+    },
+
+    dosDateTime(when) {
+        return {
+            time: (when.getHours() << 11) | (when.getMinutes() << 5) | (when.getSeconds() >> 1),
+            date: ((when.getFullYear() - 1980) << 9) | ((when.getMonth() + 1) << 5) | when.getDate()
+        };
+    },
+
+    /**
+     * CRC-32 of a Blob, read chunk by chunk from its stream. Gives the page
+     * a chance to draw (and `onProgress(bytes)` a chance to show) every
+     * frame or so rather than blocking until a whole recording is done.
+     */
+    async checksum(blob, onProgress = null) {
+        const reader = blob.stream().getReader();
+        let crc = 0;
+        let bytes = 0;
+        let lastYield = performance.now();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) return crc;
+            crc = this.crc32(value, crc);
+            bytes += value.length;
+            if (performance.now() - lastYield > 16) {
+                if (onProgress) onProgress(bytes);
+                await new Promise(resolve => setTimeout(resolve, 0));
+                lastYield = performance.now();
+            }
+        }
+    },
+
+    crcTable: null,
+
+    // Pass the CRC of the bytes before to carry on from there
+    crc32(bytes, previous = 0) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = (previous ^ 0xffffffff) >>> 0;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+};
@@ -0,0 +1,606 @@
+/**
+ * TabSync
+ * Shared .tabsync format helpers and time-to-tick mapping for the synced players
+ */
+
+window.TabSync = {
+    // Current .tabsync format version
+    // v2: bar markers only  { bar, time }
+    // v3: adds optional beat markers  beats: [{ bar, beat, time }]
+    // v4: markers carry the repeat pass  { bar, pass, time } (pass defaults to 1)
+    // v5: records the recording's media type  mediaType: 'audio' | 'video'
+    VERSION: 5,
+
+    // Playback position lookups, cached per tick map
+    positionCache: new WeakMap(),
+
+    // Score-time breakpoints of the tempo curve, cached per tick map
+    tempoCache: new WeakMap(),
+
+    // Anchors, cached per sync data object and tick map
+    anchorCache: new WeakMap(),
+
+    /**
+     * Normalize loaded sync data (any version) so players can rely on
+     * time-sorted `markers` and `beats` arrays with a `pass` on every marker,
+     * and a `mediaType` (older files are always audio).
+     */
+    normalize(syncData) {
+        const byTime = (a, b) => a.time - b.time;
+        const withPass = (m) => ({ ...m, pass: m.pass || 1 });
+        return {
+            ...syncData,
+            mediaType: syncData.mediaType === 'video' ? 'video' : 'audio',
+            markers: Array.isArray(syncData.markers) ? syncData.markers.map(withPass).sort(byTime) : [],
+            beats: Array.isArray(syncData.beats) ? syncData.beats.map(withPass).sort(byTime) : []
+        };
+    },
+
+    /**
+     * Build the playback sequence from alphaTab: a 1-based array indexed by
+     * playback position (repeats, voltas and jumps unrolled), each entry
+     * { bar, pass, start, end, beats, tempos }. `bar` is the master bar
+     * number, `pass` counts how often that bar has been played so far, and
+     * `beats` is its time signature numerator, used to place beat markers.
+     * `tempos` is the GP tempo curve inside the bar: [{ tick, tempo }], the
+     * first entry at the bar start.
+     */
+    buildBarTickMap(api) {
+        const barTickMap = [];
+        const tickCache = api && api.tickCache;
+        const passes = {};
+        let tempo = (api && api.score && api.score.tempo) || 120;
+
+        const addSlot = (bar, start, end, beats, changes) => {
+            passes[bar] = (passes[bar] || 0) + 1;
+            const tempos = [{ tick: start, tempo }];
+            changes
+                .filter(change => change.tempo > 0 && change.tick >= start && change.tick < end)
+                .sort((a, b) => a.tick - b.tick)
+                .forEach((change) => {
+                    if (change.tick === start) {
+                        tempos[0].tempo = change.tempo;
+                    } else {
+                        tempos.push(change);
+                    }
+                });
+            tempo = tempos[tempos.length - 1].tempo;
+            barTickMap[Math.max(1, barTickMap.length)] = { bar, pass: passes[bar], start, end, beats: beats || 4, tempos };
+        };
+
+        if (tickCache && tickCache.masterBars && tickCache.masterBars.length > 0) {
+            tickCache.masterBars.forEach((barInfo, index) => {
+                const bar = barInfo.masterBar ? barInfo.masterBar.index + 1 : index + 1;
+                // alphaTab 1.3+ lists every tempo change, older builds the bar's tempo
+                const changes = Array.isArray(barInfo.tempoChanges)
+                    ? barInfo.tempoChanges.map(change => ({ tick: change.tick, tempo: change.tempo }))
+                    : [{ tick: barInfo.start, tempo: barInfo.tempo }];
+                addSlot(bar, barInfo.start, barInfo.end, barInfo.masterBar?.timeSignatureNumerator, changes);
+            });
+        } else if (api && api.score) {
+            // No MIDI generated yet - fall back to one pass through the written bars
+            api.score.masterBars.forEach((masterBar) => {
+                const start = masterBar.start;
+                const length = masterBar.calculateDuration();
+                const changes = this.getTempoAutomations(masterBar).map(automation => ({
+                    tick: start + Math.round((automation.ratioPosition || 0) * length),
+                    tempo: automation.value
+                }));
+                addSlot(masterBar.index + 1, start, start + length, masterBar.timeSignatureNumerator, changes);
+            });
+        }
+
+        return barTickMap;
+    },
+
+    /**
+     * Breakpoints of the tempo curve over the whole playback sequence:
+     * [{ tick, seconds, tempo }], where `seconds` is the score time (at the
+     * GP tempo) at which `tick` is reached. The tempo is constant up to the
+     * next breakpoint.
+     */
+    getTempoCurve(barTickMap) {
+        let curve = this.tempoCache.get(barTickMap);
+        if (curve) return curve;
+
+        curve = [];
+        barTickMap.forEach((slot) => {
+            if (!slot) return;
+            (slot.tempos || [{ tick: slot.start, tempo: 120 }]).forEach(({ tick, tempo }) => {
+                const last = curve[curve.length - 1];
+                const seconds = last ? last.seconds + this.ticksToSeconds(tick - last.tick, last.tempo) : 0;
+                curve.push({ tick, seconds, tempo });
+            });
+        });
+        this.tempoCache.set(barTickMap, curve);
+        return curve;
+    },
+
+    ticksToSeconds(ticks, tempo) {
+        // alphaTab uses 960 ticks per quarter note
+        return (ticks / 960) * (60 / tempo);
+    },
+
+    /**
+     * Score time (seconds at the GP tempo) of a playback tick.
+     */
+    scoreSecondsAt(barTickMap, tick) {
+        const curve = this.getTempoCurve(barTickMap);
+        if (curve.length === 0) return this.ticksToSeconds(tick, 120);
+
+        let low = 0;
+        let high = curve.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (curve[mid].tick <= tick) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        const point = curve[low];
+        return point.seconds + this.ticksToSeconds(tick - point.tick, point.tempo);
+    },
+
+    /**
+     * Playback tick reached at a score time - the inverse of scoreSecondsAt.
+     */
+    tickAtScoreSeconds(barTickMap, seconds) {
+        const curve = this.getTempoCurve(barTickMap);
+        if (curve.length === 0) return (seconds * 120 / 60) * 960;
+
+        let low = 0;
+        let high = curve.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (curve[mid].seconds <= seconds) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        const point = curve[low];
+        return point.tick + ((seconds - point.seconds) * point.tempo / 60) * 960;
+    },
+
+    /**
+     * Tick a fraction `progress` (0..1) of the way from one tick to another,
+     * following the tempo curve: halfway in time through a ritardando is
+     * less than halfway in ticks. This is how every player moves the cursor
+     * between markers.
+     */
+    interpolateTick(barTickMap, fromTick, toTick, progress) {
+        const from = this.scoreSecondsAt(barTickMap, fromTick);
+        const to = this.scoreSecondsAt(barTickMap, toTick);
+        if (to <= from) return fromTick + (toTick - fromTick) * progress;
+        const tick = this.tickAtScoreSeconds(barTickMap, from + (to - from) * progress);
+        return Math.max(fromTick, Math.min(toTick, tick));
+    },
+
+    /**
+     * How far (0..1) a tick lies between two ticks, in time - the inverse of
+     * interpolateTick.
+     */
+    tickProgress(barTickMap, fromTick, toTick, tick) {
+        const from = this.scoreSecondsAt(barTickMap, fromTick);
+        const to = this.scoreSecondsAt(barTickMap, toTick);
+        if (to <= from) return toTick > fromTick ? (tick - fromTick) / (toTick - fromTick) : 0;
+        return (this.scoreSecondsAt(barTickMap, tick) - from) / (to - from);
+    },
+
+    /**
+     * Playback position of a bar's nth pass (0 if it is never played).
+     */
+    positionOf(barTickMap, bar, pass = 1) {
+        let lookup = this.positionCache.get(barTickMap);
+        if (!lookup) {
+            lookup = new Map();
+            barTickMap.forEach((slot, position) => {
+                if (slot) lookup.set(`${slot.bar}:${slot.pass}`, position);
+            });
+            this.positionCache.set(barTickMap, lookup);
+        }
+        return lookup.get(`${bar}:${pass || 1}`) || 0;
+    },
+
+    /**
+     * Tick range of the playback slot a marker belongs to.
+     */
+    slotOf(barTickMap, marker) {
+        return barTickMap[this.positionOf(barTickMap, marker.bar, marker.pass)];
+    },
+
+    /**
+     * Short label for a marker or slot, e.g. "5" or "5 (pass 2)".
+     */
+    formatBar(marker) {
+        return marker.pass > 1 ? `${marker.bar} (pass ${marker.pass})` : `${marker.bar}`;
+    },
+
+    /**
+     * Tick at which a given beat (1-based) of a bar starts.
+     */
+    beatTick(barTicks, beat) {
+        const beatTicks = (barTicks.end - barTicks.start) / (barTicks.beats || 4);
+        return barTicks.start + beatTicks * (beat - 1);
+    },
+
+    /**
+     * buildAnchors, cached - the players look anchors up every frame. Sync
+     * data is treated as read-only once normalized: pass a new object (a
+     * fresh normalize) after changing its markers.
+     */
+    getAnchors(syncData, barTickMap) {
+        let byMap = this.anchorCache.get(syncData);
+        if (!byMap) {
+            byMap = new WeakMap();
+            this.anchorCache.set(syncData, byMap);
+        }
+        let anchors = byMap.get(barTickMap);
+        if (!anchors) {
+            anchors = this.buildAnchors(syncData, barTickMap);
+            byMap.set(barTickMap, anchors);
+        }
+        return anchors;
+    },
+
+    /**
+     * Combine bar and beat markers into (time, tick) anchors sorted by time.
+     * A beat marker wins over a bar marker at the same tick, and anchors that
+     * would move the cursor backwards are dropped.
+     */
+    buildAnchors(syncData, barTickMap) {
+        const byTick = new Map();
+
+        (syncData.markers || []).forEach((marker) => {
+            const position = this.positionOf(barTickMap, marker.bar, marker.pass);
+            if (!position) return;
+            const tick = barTickMap[position].start;
+            byTick.set(tick, { time: marker.time, tick, position });
+        });
+
+        (syncData.beats || []).forEach((marker) => {
+            const position = this.positionOf(barTickMap, marker.bar, marker.pass);
+            if (!position) return;
+            const tick = Math.round(this.beatTick(barTickMap[position], marker.beat));
+            byTick.set(tick, { time: marker.time, tick, position });
+        });
+
+        const sorted = [...byTick.values()].sort((a, b) => a.time - b.time);
+        const anchors = [];
+        sorted.forEach((anchor) => {
+            const last = anchors[anchors.length - 1];
+            if (!last || anchor.tick > last.tick) {
+                anchors.push(anchor);
+            }
+        });
+        return anchors;
+    },
+
+    /**
+     * Map an audio time to a notation position.
+     * Returns { bar, pass, position, tick, beforeFirst } or null if nothing is
+     * synced yet. Ticks are alphaTab playback ticks, so repeated bars resolve
+     * to the right pass. Between anchors the tick follows the GP tempo curve,
+     * scaled to the time between the markers; after the last anchor the
+     * cursor runs to the end of that bar at the end of the audio.
+     */
+    timeToTick(syncData, barTickMap, time, duration) {
+        const anchors = this.getAnchors(syncData, barTickMap);
+        if (anchors.length === 0) return null;
+
+        const first = anchors[0];
+        if (time < first.time) {
+            return this.describePosition(barTickMap, first.position, first.tick, true);
+        }
+
+        // Find the anchor we're in (binary search - called every frame)
+        let low = 0;
+        let high = anchors.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (anchors[mid].time <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        const current = anchors[low];
+        const next = anchors[low + 1] || {
+            time: duration,
+            tick: barTickMap[current.position].end
+        };
+
+        const span = next.time - current.time;
+        const progress = span > 0 ? Math.min(1, Math.max(0, (time - current.time) / span)) : 0;
+        const tick = Math.floor(this.interpolateTick(barTickMap, current.tick, next.tick, progress));
+
+        return this.describePosition(barTickMap, this.barAtTick(barTickMap, tick, current.position), tick, false);
+    },
+
+    /**
+     * Audio time at which the cursor reaches a tick - the inverse of timeToTick.
+     * Pass prebuilt anchors when converting many ticks at once.
+     */
+    tickToTime(syncData, barTickMap, tick, duration, anchors = this.getAnchors(syncData, barTickMap)) {
+        if (anchors.length === 0) return 0;
+        if (tick <= anchors[0].tick) return anchors[0].time;
+
+        for (let i = 0; i < anchors.length; i++) {
+            const current = anchors[i];
+            const next = anchors[i + 1] || {
+                time: duration,
+                tick: barTickMap[current.position].end
+            };
+            if (tick < next.tick || !anchors[i + 1]) {
+                const progress = Math.min(1, this.tickProgress(barTickMap, current.tick, next.tick, tick));
+                return current.time + (next.time - current.time) * progress;
+            }
+        }
+        return duration;
+    },
+
+    /**
+     * Audio time of an alphaTab beat, e.g. one clicked in the notation.
+     * A bar that is played more than once resolves to the pass closest to
+     * `nearTime` (usually the playhead). Returns null if nothing is synced.
+     */
+    timeOfBeat(syncData, barTickMap, beat, duration, nearTime = 0) {
+        const anchors = this.getAnchors(syncData, barTickMap);
+        if (anchors.length === 0) return null;
+
+        const bar = beat.voice.bar.masterBar.index + 1;
+        let best = null;
+        barTickMap.forEach((slot) => {
+            if (!slot || slot.bar !== bar) return;
+            const time = this.tickToTime(syncData, barTickMap, slot.start + beat.playbackStart, duration, anchors);
+            if (best === null || Math.abs(time - nearTime) < Math.abs(best - nearTime)) {
+                best = time;
+            }
+        });
+        return best;
+    },
+
+    describePosition(barTickMap, position, tick, beforeFirst) {
+        const slot = barTickMap[position];
+        return { bar: slot.bar, pass: slot.pass, position, tick, beforeFirst };
+    },
+
+    /**
+     * Playback position containing a tick, scanning forward from a known position.
+     */
+    barAtTick(barTickMap, tick, fromPosition = 1) {
+        let position = fromPosition;
+        while (barTickMap[position + 1] && tick >= barTickMap[position].end) {
+            position++;
+        }
+        return position;
+    },
+
+    /**
+     * Playback position at an audio time from bar markers (0 before the first).
+     * Positions left unmarked between two markers are estimated from the tick
+     * map instead of holding the last marked bar across the gap.
+     */
+    positionAtTime(syncData, time, barTickMap) {
+        const markers = syncData.markers || [];
+        let index = -1;
+        for (let i = 0; i < markers.length; i++) {
+            if (time >= markers[i].time) {
+                index = i;
+            } else {
+                break;
+            }
+        }
+        if (index < 0) return 0;
+
+        const current = markers[index];
+        const position = this.positionOf(barTickMap, current.bar, current.pass);
+        if (!position) return 0;
+
+        const next = markers[index + 1];
+        const nextPosition = next ? this.positionOf(barTickMap, next.bar, next.pass) : 0;
+        if (nextPosition > position + 1) {
+            const progress = (time - current.time) / (next.time - current.time);
+            const tick = this.interpolateTick(barTickMap, barTickMap[position].start, barTickMap[nextPosition].start, progress);
+            return this.barAtTick(barTickMap, tick, position);
+        }
+        return position;
+    },
+
+    /**
+     * Master bar number at an audio time (0 before the first marker).
+     * Without a tick map only the markers themselves are consulted.
+     */
+    barAtTime(syncData, time, barTickMap) {
+        if (barTickMap && barTickMap.length > 0) {
+            const position = this.positionAtTime(syncData, time, barTickMap);
+            if (position) return barTickMap[position].bar;
+        }
+
+        let bar = 0;
+        for (const marker of syncData.markers || []) {
+            if (time >= marker.time) {
+                bar = marker.bar;
+            } else {
+                break;
+            }
+        }
+        return bar;
+    },
+
+    /**
+     * Expected timing of every played bar from the GP tempo map and time signatures.
+     * Returns [{ bar, pass, start, duration, beats: [offset seconds] }]
+     */
+    buildScoreTimeline(score, sequence = []) {
+        const timeline = [];
+        let tempo = score.tempo || 120;
+        let time = 0;
+
+        // Without a playback sequence, play the written bars once through
+        const slots = sequence.filter(Boolean);
+        const order = slots.length > 0
+            ? slots
+            : score.masterBars.map((masterBar, index) => ({ bar: index + 1, pass: 1 }));
+
+        order.forEach((slot) => {
+            const masterBar = score.masterBars[slot.bar - 1];
+            if (!masterBar) return;
+            const numerator = masterBar.timeSignatureNumerator || 4;
+            const denominator = masterBar.timeSignatureDenominator || 4;
+            const beatQuarters = 4 / denominator;
+            const barQuarters = numerator * beatQuarters;
+
+            // Tempo changes within the bar, by position (0..1)
+            const changes = this.getTempoAutomations(masterBar)
+                .map(a => ({ position: a.ratioPosition || 0, value: a.value }))
+                .sort((a, b) => a.position - b.position);
+
+            const secondsAt = (quarters) => {
+                let seconds = 0;
+                let position = 0;
+                let currentTempo = tempo;
+                for (const change of changes) {
+                    const changeQuarters = change.position * barQuarters;
+                    if (changeQuarters >= quarters) break;
+                    seconds += ((changeQuarters - position) * 60) / currentTempo;
+                    position = changeQuarters;
+                    currentTempo = change.value;
+                }
+                return seconds + ((quarters - position) * 60) / currentTempo;
+            };
+
+            const beats = [];
+            for (let b = 0; b < numerator; b++) {
+                beats.push(secondsAt(b * beatQuarters));
+            }
+            const duration = secondsAt(barQuarters);
+
+            timeline.push({ bar: slot.bar, pass: slot.pass, start: time, duration, beats });
+
+            if (changes.length > 0) {
+                tempo = changes[changes.length - 1].value;
+            }
+            time += duration;
+        });
+
+        return timeline;
+    },
+
+    getTempoAutomations(masterBar) {
+        // alphaTab 1.3+ exposes a list, older builds a single automation
+        if (Array.isArray(masterBar.tempoAutomations)) return masterBar.tempoAutomations;
+        return masterBar.tempoAutomation ? [masterBar.tempoAutomation] : [];
+    },
+
+    // ==========================================
+    // Referenced files
+    // ==========================================
+
+    GP_EXTENSIONS: ['gp', 'gp3', 'gp4', 'gp5', 'gpx'],
+    MEDIA_EXTENSIONS: ['mp3', 'wav', 'ogg', 'm4a', 'aac', 'flac', 'mp4', 'm4v', 'webm', 'mov'],
+
+    /**
+     * Where a file named in a .tabsync (`gpFile`, `audioFile`) lives: an
+     * absolute URL, or a path relative to the .tabsync's own URL. Null when
+     * there's nothing to resolve (no name, or a bare name with no base URL).
+     */
+    resolveFileUrl(reference, syncUrl) {
+        if (!reference) return null;
+        try {
+            return new URL(reference, syncUrl || undefined).href;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    // Last path segment of a name, path or URL: "media/Song.mp3?x=1" -> "Song.mp3"
+    fileNameOf(reference) {
+        const name = String(reference || '').split(/[?#]/)[0].split(/[\\/]/).pop();
+        try {
+            return decodeURIComponent(name);
+        } catch (e) {
+            return name;
+        }
+    },
+
+    extensionOf(name) {
+        const match = /\.([^.]+)$/.exec(name || '');
+        return match ? match[1].toLowerCase() : '';
+    },
+
+    isGuitarProFile(file) {
+        return this.GP_EXTENSIONS.includes(this.extensionOf(file.name));
+    },
+
+    isMediaFile(file) {
+        return /^(audio|video)\//.test(file.type) || this.MEDIA_EXTENSIONS.includes(this.extensionOf(file.name));
+    },
+
+    isSyncFile(file) {
+        return ['tabsync', 'json'].includes(this.extensionOf(file.name));
+    },
+
+    /**
+     * Download a referenced file as a File named after its URL.
+     */
+    async fetchFile(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText} (${url})`);
+        const blob = await response.blob();
+        return new File([blob], this.fileNameOf(url), { type: blob.type });
+    },
+
+    /**
+     * Every file in a drop, walking into dropped folders.
+     */
+    async readDroppedFiles(dataTransfer) {
+        // Entries have to be taken before the first await, while the drop is live
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+            .filter(Boolean);
+        if (entries.length === 0) return Array.from(dataTransfer.files);
+
+        const files = [];
+        const walk = async (entry) => {
+            if (entry.isFile) {
+                files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                // readEntries returns a folder in batches until an empty one
+                let batch;
+                do {
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of batch) await walk(child);
+                } while (batch.length > 0);
+            }
+        };
+        for (const entry of entries) await walk(entry);
+        return files;
+    },
+
+    /**
+     * Pick a .tabsync and the files it references out of a set of files
+     * (usually a dropped folder). Names are matched case-insensitively on
+     * the file name alone, so "media/Song.mp3" finds "song.mp3". Without a
+     * name to go by - or no file by that name - a folder holding a single
+     * Guitar Pro file or recording uses that one.
+     * Returns { sync, gp, audio }, each a File or null.
+     */
+    matchFiles(files, syncData = null) {
+        const named = (reference, candidates) => {
+            const name = this.fileNameOf(reference).toLowerCase();
+            return name ? candidates.find(file => file.name.toLowerCase() === name) : undefined;
+        };
+        const pick = (reference, candidates) => named(reference, candidates) || (candidates.length === 1 ? candidates[0] : null);
+
+        const syncFiles = files.filter(file => this.isSyncFile(file));
+        return {
+            sync: syncFiles.find(file => this.extensionOf(file.name) === 'tabsync') || syncFiles[0] || null,
+            gp: pick(syncData && syncData.gpFile, files.filter(file => this.isGuitarProFile(file))),
+            audio: pick(syncData && syncData.audioFile, files.filter(file => this.isMediaFile(file)))
+        };
+    }
+};
@@ -0,0 +1,258 @@
+/**
+ * Time Stretch
+ * Pitch-preserving speed control for Web Audio playback.
+ *
+ * The recording keeps playing through a source whose playbackRate is the
+ * practice speed (so timing stays simple), and a phase-vocoder AudioWorklet
+ * shifts the pitch back up by 1 / speed. The worklet delays the audio by a
+ * fixed number of samples, which players subtract when mapping the audio
+ * clock to a playback position.
+ */
+
+window.TimeStretch = {
+    FFT_SIZE: 2048,
+    OVERSAMPLING: 4,
+
+    // One module load per AudioContext
+    modules: new WeakMap(),
+
+    // Runs inside the AudioWorkletGlobalScope - kept as source so the engine
+    // also works from a single file without serving an extra script
+    PROCESSOR_SOURCE: `
+class PitchCorrectionProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+    }
+
+    constructor(options) {
+        super();
+        const { fftSize, oversampling } = options.processorOptions;
+        this.size = fftSize;
+        this.oversampling = oversampling;
+        this.step = fftSize / oversampling;
+        this.latency = fftSize - this.step;
+        this.bins = fftSize / 2 + 1;
+        this.expected = (2 * Math.PI * this.step) / fftSize;
+
+        this.window = new Float32Array(fftSize);
+        for (let i = 0; i < fftSize; i++) {
+            this.window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / fftSize);
+        }
+
+        // Analysis and synthesis are both windowed; normalize their overlap
+        let overlap = 0;
+        for (let i = 0; i < fftSize; i += this.step) {
+            overlap += this.window[i] * this.window[i];
+        }
+        this.scale = 1 / (fftSize * overlap);
+
+        this.re = new Float32Array(fftSize);
+        this.im = new Float32Array(fftSize);
+        this.analysisMagnitude = new Float32Array(this.bins);
+        this.analysisFrequency = new Float32Array(this.bins);
+        this.analysisPhase = new Float32Array(this.bins);
+        this.synthesisRe = new Float32Array(this.bins);
+        this.synthesisIm = new Float32Array(this.bins);
+        this.peaks = new Int32Array(this.bins);
+        this.channels = [];
+    }
+
+    createChannel() {
+        return {
+            input: new Float32Array(this.size),
+            output: new Float32Array(this.size),
+            accumulator: new Float32Array(this.size * 2),
+            lastPhase: new Float32Array(this.bins),
+            sumPhase: new Float32Array(this.bins),
+            rover: this.latency
+        };
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const ratio = parameters.pitchRatio[0];
+
+        for (let c = 0; c < output.length; c++) {
+            if (!this.channels[c]) this.channels[c] = this.createChannel();
+            const channel = this.channels[c];
+            const source = input[c] || input[0];
+            const target = output[c];
+
+            for (let i = 0; i < target.length; i++) {
+                channel.input[channel.rover] = source ? source[i] : 0;
+                target[i] = channel.output[channel.rover - this.latency];
+                channel.rover++;
+
+                if (channel.rover >= this.size) {
+                    channel.rover = this.latency;
+                    this.processFrame(channel, ratio);
+                }
+            }
+        }
+        return true;
+    }
+
+    processFrame(channel, ratio) {
+        const { size, bins, step, expected, oversampling, re, im } = this;
+        const binWidth = 1 / size; // frequencies in cycles per sample
+
+        for (let k = 0; k < size; k++) {
+            re[k] = channel.input[k] * this.window[k];
+            im[k] = 0;
+        }
+        this.fft(re, im, -1);
+
+        // Analysis: true frequency of each bin from its phase advance
+        for (let k = 0; k < bins; k++) {
+            const phase = Math.atan2(im[k], re[k]);
+            let delta = phase - channel.lastPhase[k] - k * expected;
+            channel.lastPhase[k] = phase;
+            this.analysisPhase[k] = phase;
+            delta -= 2 * Math.PI * Math.round(delta / (2 * Math.PI));
+            this.analysisMagnitude[k] = 2 * Math.hypot(re[k], im[k]);
+            this.analysisFrequency[k] = (k + (delta * oversampling) / (2 * Math.PI)) * binWidth;
+        }
+
+        // Advance every bin's synthesis phase at its shifted frequency, so a
+        // partial keeps a continuous phase when its peak moves between bins
+        for (let k = 0; k < bins; k++) {
+            // Wrapped, or float precision runs out within minutes
+            const phase = channel.sumPhase[k] + 2 * Math.PI * this.analysisFrequency[k] * ratio * step;
+            channel.sumPhase[k] = phase % (2 * Math.PI);
+        }
+
+        // Peaks of the analysis spectrum; each owns the bins up to halfway
+        // to its neighbours
+        let peakCount = 0;
+        for (let k = 1; k < bins - 1; k++) {
+            const magnitude = this.analysisMagnitude[k];
+            if (magnitude > 1e-9 && magnitude > this.analysisMagnitude[k - 1] && magnitude >= this.analysisMagnitude[k + 1]) {
+                this.peaks[peakCount++] = k;
+            }
+        }
+
+        // Shift each peak's whole region and keep the phases inside it
+        // relative to the peak, so partials stay compact (Laroche-Dolson)
+        this.synthesisRe.fill(0);
+        this.synthesisIm.fill(0);
+        for (let i = 0; i < peakCount; i++) {
+            const p = this.peaks[i];
+            const low = i === 0 ? 0 : ((this.peaks[i - 1] + p) >> 1) + 1;
+            const high = i === peakCount - 1 ? bins - 1 : (p + this.peaks[i + 1]) >> 1;
+            const shift = Math.round(p * ratio) - p;
+            const peakPhase = channel.sumPhase[p] - this.analysisPhase[p];
+
+            for (let k = low; k <= high; k++) {
+                const target = k + shift;
+                if (target < 0 || target >= bins) continue;
+                const phase = peakPhase + this.analysisPhase[k];
+                this.synthesisRe[target] += this.analysisMagnitude[k] * Math.cos(phase);
+                this.synthesisIm[target] += this.analysisMagnitude[k] * Math.sin(phase);
+            }
+        }
+
+        re.set(this.synthesisRe);
+        im.set(this.synthesisIm);
+        for (let k = bins; k < size; k++) {
+            re[k] = 0;
+            im[k] = 0;
+        }
+        this.fft(re, im, 1);
+
+        // Overlap-add back to unity gain
+        for (let k = 0; k < size; k++) {
+            channel.accumulator[k] += this.scale * this.window[k] * re[k];
+        }
+        channel.output.set(channel.accumulator.subarray(0, step));
+        channel.accumulator.copyWithin(0, step);
+        channel.accumulator.fill(0, channel.accumulator.length - step);
+        channel.input.copyWithin(0, step);
+    }
+
+    // In-place iterative radix-2 FFT; sign -1 forward, 1 inverse (unscaled)
+    fft(re, im, sign) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+                tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+            }
+        }
+        for (let len = 2; len <= n; len <<= 1) {
+            const angle = (sign * 2 * Math.PI) / len;
+            const wRe = Math.cos(angle);
+            const wIm = Math.sin(angle);
+            for (let i = 0; i < n; i += len) {
+                let curRe = 1;
+                let curIm = 0;
+                for (let j = 0; j < len / 2; j++) {
+                    const a = i + j;
+                    const b = a + len / 2;
+                    const bRe = re[b] * curRe - im[b] * curIm;
+                    const bIm = re[b] * curIm + im[b] * curRe;
+                    re[b] = re[a] - bRe;
+                    im[b] = im[a] - bIm;
+                    re[a] += bRe;
+                    im[a] += bIm;
+                    const nextRe = curRe * wRe - curIm * wIm;
+                    curIm = curRe * wIm + curIm * wRe;
+                    curRe = nextRe;
+                }
+            }
+        }
+    }
+}
+
+registerProcessor('pitch-correction', PitchCorrectionProcessor);
+`,
+
+    /**
+     * Create the pitch correction node for an AudioContext.
+     * Resolves to null where AudioWorklet is unavailable (e.g. pages not
+     * served over HTTPS); callers then fall back to a plain playbackRate.
+     */
+    async create(audioContext) {
+        if (!audioContext.audioWorklet) return null;
+
+        try {
+            let module = this.modules.get(audioContext);
+            if (!module) {
+                const url = URL.createObjectURL(new Blob([this.PROCESSOR_SOURCE], { type: 'application/javascript' }));
+                module = audioContext.audioWorklet.addModule(url);
+                this.modules.set(audioContext, module);
+            }
+            await module;
+
+            return new AudioWorkletNode(audioContext, 'pitch-correction', {
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                outputChannelCount: [2],
+                processorOptions: { fftSize: this.FFT_SIZE, oversampling: this.OVERSAMPLING }
+            });
+        } catch (e) {
+            console.error('Pitch-preserving playback unavailable:', e);
+            return null;
+        }
+    },
+
+    /**
+     * Undo the pitch change of a source playing at `speed`.
+     */
+    setSpeed(node, speed) {
+        if (!node) return;
+        node.parameters.get('pitchRatio').value = 1 / speed;
+    },
+
+    /**
+     * Delay the node adds, in seconds of real time: a sample leaves the
+     * worklet one full FFT frame after it went in.
+     */
+    getLatency(node) {
+        if (!node) return 0;
+        return this.FFT_SIZE / node.context.sampleRate;
+    }
+};